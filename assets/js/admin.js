@@ -0,0 +1,305 @@
+/**
+ * Mask for HTML Forms - Admin Preview and Playground
+ *
+ * Applies the preset being edited on the admin page to a preview
+ * input and runs the mask playground, both using the same
+ * MaskForHtmlForms code as the front end.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Admin preview and playground handler.
+     */
+    var MaskForHtmlFormsAdmin = {
+
+        /**
+         * Preset name used for the preview.
+         *
+         * @type {string}
+         */
+        previewPreset: 'mfhf-admin-preview',
+
+        /**
+         * Initialize the preset preview and the playground.
+         */
+        init: function() {
+            if (!window.MaskForHtmlForms) {
+                return;
+            }
+
+            this.setupPresetPreview();
+            this.setupTranslationForm();
+            this.setupPlayground();
+        },
+
+        /**
+         * Block saving translation patterns that the browser cannot compile.
+         *
+         * The server compiles them with PCRE, which accepts syntax such as
+         * possessive quantifiers that RegExp rejects.
+         */
+        setupTranslationForm: function() {
+            var $pattern = $('#mfhf-translation-pattern');
+
+            $pattern.on('input', function() {
+                var message = '';
+
+                try {
+                    new RegExp(this.value);
+                } catch (e) {
+                    message = $pattern.attr('data-mfhf-invalid');
+                }
+
+                this.setCustomValidity(message);
+            });
+        },
+
+        /**
+         * Re-apply the edited preset to the preview input on every change.
+         */
+        setupPresetPreview: function() {
+            var self = this;
+            var $form = $('.mfhf-preset-form');
+
+            if (!$form.length) {
+                return;
+            }
+
+            $form.on('input change', ':input:not(#mfhf-preset-preview)', function() {
+                self.updatePreview($form);
+            });
+
+            this.updatePreview($form);
+        },
+
+        /**
+         * Build a preset from the editor fields.
+         *
+         * Mirrors Custom_Presets::get_script_presets().
+         *
+         * @param {jQuery} $form Preset editor form.
+         * @return {object} Preset config.
+         */
+        getPreset: function($form) {
+            var options = {};
+            var placeholder = $form.find('#mfhf-preset-placeholder').val();
+
+            if (placeholder) {
+                options.placeholder = placeholder;
+            }
+
+            if ($form.find('#mfhf-preset-reverse').is(':checked')) {
+                options.reverse = true;
+            }
+
+            if ($form.find('#mfhf-preset-clear').is(':checked')) {
+                options.clearIfNotMatch = true;
+            }
+
+            if ($form.find('#mfhf-preset-select').is(':checked')) {
+                options.selectOnFocus = true;
+            }
+
+            return {
+                mask: $form.find('#mfhf-preset-mask').val(),
+                options: options,
+                validator: $form.find('#mfhf-preset-validator').val(),
+                error: $form.find('#mfhf-preset-error').val()
+            };
+        },
+
+        /**
+         * Re-apply the edited preset to the preview input.
+         *
+         * @param {jQuery} $form Preset editor form.
+         */
+        updatePreview: function($form) {
+            var masks = window.MaskForHtmlForms;
+            var $preview = $form.find('#mfhf-preset-preview');
+            var preset = this.getPreset($form);
+
+            masks.settings.presets = masks.settings.presets || {};
+            masks.settings.presets[this.previewPreset] = preset;
+
+            masks.removeMask($preview);
+            $preview.removeAttr('placeholder maxlength');
+            masks.clearInlineError($preview);
+
+            if (!preset.mask) {
+                $preview.removeAttr('data-mask-preset');
+                return;
+            }
+
+            $preview.attr('data-mask-preset', this.previewPreset);
+            masks.applyPresetMask($preview);
+        },
+
+        /**
+         * Bind the playground controls and outputs.
+         */
+        setupPlayground: function() {
+            var self = this;
+            var $playground = $('.mfhf-playground');
+            var $input = $playground.find('#mfhf-playground-input');
+
+            if (!$playground.length) {
+                return;
+            }
+
+            $playground.on('input change', ':input:not(#mfhf-playground-input)', function() {
+                self.updatePlayground($playground);
+            });
+
+            // Read the outputs after the mask and validation handlers have run.
+            $input.on('input blur mfhf:error-shown mfhf:error-cleared', function() {
+                setTimeout(function() {
+                    self.updatePlaygroundOutput($playground);
+                }, 0);
+            });
+
+            this.updatePlayground($playground);
+        },
+
+        /**
+         * Parse the extra characters textarea ("X [xyz]" per line).
+         *
+         * @param {string} text Textarea value.
+         * @return {object} Translation table for the mask options.
+         */
+        parseTranslations: function(text) {
+            var translation = {};
+
+            $.each(String(text || '').split(/\r?\n/), function(index, line) {
+                var match = $.trim(line).match(/^(\S)\s+(.+)$/);
+
+                if (!match) {
+                    return;
+                }
+
+                try {
+                    translation[match[1]] = { pattern: new RegExp(match[2]) };
+                } catch (e) {
+                    // Skip invalid patterns.
+                }
+            });
+
+            return translation;
+        },
+
+        /**
+         * Get the playground mask options.
+         *
+         * @param {jQuery} $playground Playground section.
+         * @return {object} jQuery Mask options.
+         */
+        getPlaygroundOptions: function($playground) {
+            var options = {};
+            var translation = this.parseTranslations($playground.find('#mfhf-playground-translations').val());
+
+            if ($playground.find('#mfhf-playground-reverse').is(':checked')) {
+                options.reverse = true;
+            }
+
+            if ($playground.find('#mfhf-playground-clear').is(':checked')) {
+                options.clearIfNotMatch = true;
+            }
+
+            if ($playground.find('#mfhf-playground-select').is(':checked')) {
+                options.selectOnFocus = true;
+            }
+
+            if (!$.isEmptyObject(translation)) {
+                options.translation = translation;
+            }
+
+            return options;
+        },
+
+        /**
+         * Re-apply the playground mask to the test input.
+         *
+         * @param {jQuery} $playground Playground section.
+         */
+        updatePlayground: function($playground) {
+            var masks = window.MaskForHtmlForms;
+            var $input = $playground.find('#mfhf-playground-input');
+            var mask = $playground.find('#mfhf-playground-mask').val();
+            var value = masks.getMaskInstance($input) ? $input.cleanVal() : $input.val();
+
+            masks.removeMask($input);
+            $input.removeAttr('data-mask maxlength');
+            masks.clearInlineError($input);
+            $input.val(value);
+
+            if (mask) {
+                $input.attr('data-mask', mask);
+                masks.applyMask($input, mask, this.getPlaygroundOptions($playground));
+            }
+
+            this.updatePlaygroundOutput($playground);
+        },
+
+        /**
+         * Show the masked and clean values, completeness, inline error and HTML snippet.
+         *
+         * @param {jQuery} $playground Playground section.
+         */
+        updatePlaygroundOutput: function($playground) {
+            var masks = window.MaskForHtmlForms;
+            var $input = $playground.find('#mfhf-playground-input');
+            var $error = $input.data('mfhfErrorEl');
+            var info = masks.getCompletenessInfo($input);
+            var error = $error && $error.length ? $error.text() : masks.validateField($input, { render: false }).message;
+            var output = function(name) {
+                return $playground.find('[data-mfhf-output="' + name + '"]');
+            };
+
+            output('masked').text($input.val());
+            output('clean').text(masks.getCleanValue($input));
+            output('completeness').text(info.current + ' / ' + info.required + ' / ' + (info.max === Infinity ? '\u221e' : info.max));
+            output('error').text(error);
+            output('snippet').text(this.getPlaygroundSnippet($playground));
+        },
+
+        /**
+         * Build the input tag to paste into the HTML Forms editor.
+         *
+         * @param {jQuery} $playground Playground section.
+         * @return {string} HTML snippet.
+         */
+        getPlaygroundSnippet: function($playground) {
+            var options = this.getPlaygroundOptions($playground);
+            var attributes = ['type="text"', 'name="field"'];
+            var escape = function(value) {
+                return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            };
+
+            attributes.push('data-mask="' + escape($playground.find('#mfhf-playground-mask').val()) + '"');
+
+            if (options.reverse) {
+                attributes.push('data-mask-reverse="true"');
+            }
+
+            if (options.clearIfNotMatch) {
+                attributes.push('data-mask-clearifnotmatch="true"');
+            }
+
+            if (options.selectOnFocus) {
+                attributes.push('data-mask-selectonfocus="true"');
+            }
+
+            return '<input ' + attributes.join(' ') + ' />';
+        }
+    };
+
+    // Initialize on DOM ready.
+    $(document).ready(function() {
+        MaskForHtmlFormsAdmin.init();
+    });
+
+})(jQuery);
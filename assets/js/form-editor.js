@@ -0,0 +1,238 @@
+/**
+ * Mask for HTML Forms - Form Editor Helper
+ *
+ * Builds a masked <input> in the HTML Forms form editor, previews it
+ * with MaskForHtmlForms and inserts it into the form markup.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+(function($) {
+    'use strict';
+
+    /**
+     * Form editor helper.
+     */
+    var MaskForHtmlFormsEditor = {
+
+        /**
+         * Initialize the helper.
+         */
+        init: function() {
+            var self = this;
+            var $helper = $('#mfhf-field-helper');
+
+            if (!$helper.length || !window.MaskForHtmlForms) {
+                return;
+            }
+
+            this.placeHelper($helper);
+
+            $helper.on('input change', ':input:not(#mfhf-field-preview)', function() {
+                self.update($helper);
+            });
+
+            $helper.on('click', '.mfhf-field-insert', function() {
+                self.insert($helper);
+            });
+
+            this.update($helper);
+        },
+
+        /**
+         * Move the helper next to the HTML Forms field builder, or above the markup editor.
+         *
+         * @param {jQuery} $helper Helper element.
+         */
+        placeHelper: function($helper) {
+            var $builder = $('#hf-field-builder');
+            var $editor = this.getMarkupTextarea().closest('td, div');
+
+            if ($builder.length) {
+                $builder.after($helper);
+            } else if ($editor.length) {
+                $editor.before($helper);
+            }
+
+            $helper.prop('hidden', false);
+        },
+
+        /**
+         * Get the form markup textarea.
+         *
+         * @return {jQuery} Textarea element.
+         */
+        getMarkupTextarea: function() {
+            return $('#hf-form-editor, textarea[name="form[markup]"]').first();
+        },
+
+        /**
+         * Read the helper fields.
+         *
+         * @param {jQuery} $helper Helper element.
+         * @return {object} Field config.
+         */
+        getField: function($helper) {
+            return {
+                label: $.trim($helper.find('#mfhf-field-label').val()),
+                name: $.trim($helper.find('#mfhf-field-name').val()),
+                preset: $helper.find('#mfhf-field-preset').val(),
+                mask: $helper.find('#mfhf-field-mask').val(),
+                submit: $helper.find('#mfhf-field-submit').val(),
+                required: $helper.find('#mfhf-field-required').is(':checked'),
+                showError: $helper.find('#mfhf-field-show-error').is(':checked'),
+                error: $.trim($helper.find('#mfhf-field-error').val())
+            };
+        },
+
+        /**
+         * Get the data-mask-* attributes of a field config.
+         *
+         * @param {object} field Field config.
+         * @return {Array} Attribute name and value pairs.
+         */
+        getMaskAttributes: function(field) {
+            var attributes = [];
+
+            if (field.preset) {
+                attributes.push(['data-mask-preset', field.preset]);
+            } else {
+                attributes.push(['data-mask', field.mask]);
+            }
+
+            if (field.submit) {
+                attributes.push(['data-mask-submit', field.submit]);
+            }
+
+            if (field.showError) {
+                attributes.push(['data-mask-show-error', 'true']);
+            }
+
+            if (field.error) {
+                attributes.push(['data-mask-error', field.error]);
+            }
+
+            return attributes;
+        },
+
+        /**
+         * Build the field markup in the HTML Forms field builder style.
+         *
+         * @param {object} field Field config.
+         * @return {string} HTML snippet.
+         */
+        getSnippet: function(field) {
+            var escape = function(value) {
+                return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            };
+            var name = field.name || 'field';
+            var id = this.getFieldId(name);
+            var input = '<input type="text" name="' + escape(name) + '" id="' + escape(id) + '"';
+
+            $.each(this.getMaskAttributes(field), function(index, attribute) {
+                input += ' ' + attribute[0] + '="' + escape(attribute[1]) + '"';
+            });
+
+            input += field.required ? ' required />' : ' />';
+
+            if (!field.label) {
+                return input;
+            }
+
+            return '<p>\n\t<label for="' + escape(id) + '">' + escape(field.label) + '</label>\n\t' + input + '\n</p>';
+        },
+
+        /**
+         * Derive an input id from the field name, e.g. contact[phone] → contact-phone.
+         *
+         * @param {string} name Field name.
+         * @return {string} Input id.
+         */
+        getFieldId: function(name) {
+            return String(name).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'field';
+        },
+
+        /**
+         * Refresh the custom mask input, preview and snippet.
+         *
+         * @param {jQuery} $helper Helper element.
+         */
+        update: function($helper) {
+            var field = this.getField($helper);
+
+            $helper.find('#mfhf-field-mask').prop('hidden', !!field.preset);
+            $helper.find('.mfhf-field-snippet').text(this.getSnippet(field));
+            $helper.find('.mfhf-field-insert').prop('disabled', !field.name || (!field.preset && !field.mask));
+
+            this.updatePreview($helper, field);
+        },
+
+        /**
+         * Re-apply the field's mask attributes to the preview input.
+         *
+         * @param {jQuery} $helper Helper element.
+         * @param {object} field Field config.
+         */
+        updatePreview: function($helper, field) {
+            var masks = window.MaskForHtmlForms;
+            var $preview = $helper.find('#mfhf-field-preview');
+
+            masks.removeMask($preview);
+            $preview.removeAttr('data-mask data-mask-preset data-mask-show-error data-mask-error placeholder maxlength required');
+            masks.clearInlineError($preview);
+
+            if (!field.preset && !field.mask) {
+                return;
+            }
+
+            $.each(this.getMaskAttributes(field), function(index, attribute) {
+                $preview.attr(attribute[0], attribute[1]);
+            });
+
+            $preview.prop('required', field.required);
+
+            if (field.preset) {
+                masks.applyPresetMask($preview);
+            } else {
+                masks.applyMask($preview, field.mask);
+            }
+        },
+
+        /**
+         * Insert the snippet into the form markup at the cursor.
+         *
+         * @param {jQuery} $helper Helper element.
+         */
+        insert: function($helper) {
+            var snippet = this.getSnippet(this.getField($helper));
+            var $textarea = this.getMarkupTextarea();
+            var codeMirror = $textarea.siblings('.CodeMirror').get(0) || $('.CodeMirror').get(0);
+
+            // HTML Forms edits the markup with CodeMirror when it is available.
+            if (codeMirror && codeMirror.CodeMirror) {
+                codeMirror.CodeMirror.replaceSelection(snippet + '\n');
+                codeMirror.CodeMirror.focus();
+                return;
+            }
+
+            if (!$textarea.length) {
+                return;
+            }
+
+            var textarea = $textarea.get(0);
+            var value = textarea.value;
+            var start = typeof textarea.selectionStart === 'number' ? textarea.selectionStart : value.length;
+            var end = typeof textarea.selectionEnd === 'number' ? textarea.selectionEnd : value.length;
+
+            textarea.value = value.slice(0, start) + snippet + '\n' + value.slice(end);
+            $textarea.trigger('input').trigger('change').trigger('focus');
+        }
+    };
+
+    // Initialize on DOM ready.
+    $(document).ready(function() {
+        MaskForHtmlFormsEditor.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,994 @@
+/**
+ * Mask for HTML Forms - Shared Core
+ *
+ * Engine-independent parts of MaskForHtmlForms: mask tokenizer, presets,
+ * number and card helpers, paste normalization, validators, messages and
+ * plural rules. mask-init.js and mask-vanilla.js both copy these methods
+ * into their MaskForHtmlForms object, so "this" is always the engine.
+ *
+ * Methods that take a field accept a jQuery object or an element. Engines
+ * provide getTranslationTable(), getMaskInstance(), getMaskedValue(),
+ * getFieldData() and detectPhoneCountry() for the parts that depend on
+ * how they mask and store fields.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Shared methods and registries.
+     */
+    var MaskForHtmlFormsCore = {
+
+        /**
+         * Value validators referenced by presets or data-mask-validator.
+         *
+         * Each receives the clean value and the field, runs with the engine as
+         * "this" and returns true when the value is valid, false for a checksum
+         * failure, a message key, or {code, args}.
+         */
+        validators: {
+            pesel: function(value) {
+                return this.checkWeightedSum(value, [1, 3, 7, 9, 1, 3, 7, 9, 1, 3], function(sum) {
+                    return (10 - (sum % 10)) % 10;
+                });
+            },
+
+            nip: function(value) {
+                return this.checkWeightedSum(value, [6, 5, 7, 2, 3, 4, 5, 6, 7], function(sum) {
+                    // NIP numbers are never issued with a remainder of 10.
+                    return sum % 11 === 10 ? -1 : sum % 11;
+                });
+            },
+
+            regon: function(value) {
+                var weights = value.length === 14 ? [2, 4, 8, 5, 0, 9, 7, 3, 6, 1, 2, 4, 8] : [8, 9, 2, 3, 4, 5, 6, 7];
+
+                return this.checkWeightedSum(value, weights, function(sum) {
+                    return (sum % 11) % 10;
+                });
+            },
+
+            iban: function(value) {
+                var iban = String(value).replace(/\s+/g, '').toUpperCase();
+
+                if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban)) {
+                    return false;
+                }
+
+                // Move country code and check digits to the end, map letters to 10-35.
+                var digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, function(ch) {
+                    return String(ch.charCodeAt(0) - 55);
+                });
+                var remainder = 0;
+
+                for (var i = 0; i < digits.length; i++) {
+                    remainder = (remainder * 10 + parseInt(digits.charAt(i), 10)) % 97;
+                }
+
+                return remainder === 1;
+            },
+
+            'date-eu': function(value, field) {
+                return this.validateDate(value, 'dmy', field);
+            },
+
+            'date-iso': function(value, field) {
+                return this.validateDate(value, 'ymd', field);
+            },
+
+            luhn: function(value) {
+                return this.checkLuhn(value);
+            },
+
+            card: function(value) {
+                var brand = this.detectCardBrand(value);
+
+                if (brand && brand.lengths && brand.lengths.indexOf(value.length) === -1) {
+                    return 'invalidCard';
+                }
+
+                return this.checkLuhn(value) ? true : 'invalidCard';
+            },
+
+            phone: function(value, field) {
+                var country = this.detectPhoneCountry(field, value);
+                var national = value.replace(/\D/g, '').slice(country ? country.code.length : 0);
+
+                if (!country || (country.lengths && country.lengths.indexOf(national.length) === -1)) {
+                    return 'invalidPhone';
+                }
+
+                return true;
+            },
+
+            number: function(value, field) {
+                var format = this.getFieldData(field, 'mfhfNumberFormat') || this.getNumberFormat({});
+                var number = parseFloat(value);
+                var min = parseFloat(format.min);
+                var max = parseFloat(format.max);
+
+                if (!isNaN(min) && number < min) {
+                    return { code: 'numberTooSmall', args: [this.formatNumber(min, format)] };
+                }
+
+                if (!isNaN(max) && number > max) {
+                    return { code: 'numberTooLarge', args: [this.formatNumber(max, format)] };
+                }
+
+                return true;
+            },
+
+            'time-24': function(value) {
+                var hours = parseInt(value.substr(0, 2), 10);
+                var minutes = parseInt(value.substr(2, 2), 10);
+
+                if (!/^\d{4}$/.test(value) || hours > 23 || minutes > 59) {
+                    return 'invalidTime';
+                }
+
+                return true;
+            }
+        },
+
+        /**
+         * Plural rules by language: return the index of the gettext plural form for a count.
+         *
+         * Languages without a rule use the English one; add rules for others.
+         */
+        pluralRules: {
+            en: function(n) {
+                return n === 1 ? 0 : 1;
+            },
+            fr: function(n) {
+                return n > 1 ? 1 : 0;
+            },
+            pl: function(n) {
+                return n === 1 ? 0 : (n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 10 || n % 100 >= 20) ? 1 : 2);
+            },
+            cs: function(n) {
+                return n === 1 ? 0 : (n >= 2 && n <= 4 ? 1 : 2);
+            },
+            sk: function(n) {
+                return n === 1 ? 0 : (n >= 2 && n <= 4 ? 1 : 2);
+            },
+            ru: function(n) {
+                return n % 10 === 1 && n % 100 !== 11 ? 0 : (n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 10 || n % 100 >= 20) ? 1 : 2);
+            },
+            uk: function(n) {
+                return n % 10 === 1 && n % 100 !== 11 ? 0 : (n % 10 >= 2 && n % 10 <= 4 && (n % 100 < 10 || n % 100 >= 20) ? 1 : 2);
+            }
+        },
+
+        /**
+         * Copy own properties of the source objects onto the target.
+         *
+         * @param {object} target Target object.
+         * @return {object} Target object.
+         */
+        extend: function(target) {
+            for (var i = 1; i < arguments.length; i++) {
+                var source = arguments[i] || {};
+
+                for (var key in source) {
+                    if (Object.prototype.hasOwnProperty.call(source, key)) {
+                        target[key] = source[key];
+                    }
+                }
+            }
+
+            return target;
+        },
+
+        /**
+         * Check for a plain object (not an array).
+         *
+         * @param {*} value Value.
+         * @return {boolean} True for plain objects.
+         */
+        isPlainObject: function(value) {
+            return Object.prototype.toString.call(value) === '[object Object]';
+        },
+
+        /**
+         * Get the element of a field passed as a jQuery object or an element.
+         *
+         * @param {jQuery|Element} [field] Field.
+         * @return {Element|null} Element or null.
+         */
+        getNode: function(field) {
+            if (field && field.jquery) {
+                return field[0] || null;
+            }
+
+            return field && field.nodeType ? field : null;
+        },
+
+        /**
+         * Convert common truthy/falsey strings to boolean.
+         *
+         * @param {string|boolean} value Input value.
+         * @param {boolean} defaultValue Fallback when value is empty.
+         * @return {boolean} Parsed boolean.
+         */
+        parseBoolean: function(value, defaultValue) {
+            if (value === undefined || value === null || value === '') {
+                return defaultValue;
+            }
+
+            if (typeof value === 'boolean') {
+                return value;
+            }
+
+            var normalized = String(value).toLowerCase();
+
+            if (normalized === 'false' || normalized === '0' || normalized === 'no') {
+                return false;
+            }
+
+            if (normalized === 'true' || normalized === '1' || normalized === 'yes') {
+                return true;
+            }
+
+            return defaultValue;
+        },
+
+        /**
+         * Add a native listener that destroy() removes.
+         *
+         * @param {EventTarget} target Document or window.
+         * @param {string} type Event type.
+         * @param {Function} handler Listener.
+         * @param {boolean} [capture] Listen in the capture phase.
+         */
+        listen: function(target, type, handler, capture) {
+            target.addEventListener(type, handler, !!capture);
+            this.listeners.push({ target: target, type: type, handler: handler, capture: !!capture });
+        },
+
+        /**
+         * Run a callback in the next animation frame, after the current task has finished.
+         *
+         * @param {Function} callback Callback.
+         * @return {number} Frame or timer id.
+         */
+        nextFrame: function(callback) {
+            if (window.requestAnimationFrame) {
+                return window.requestAnimationFrame(callback);
+            }
+
+            return setTimeout(callback, 16);
+        },
+
+        /**
+         * Add the custom translations from settings to the engine's global tokens.
+         */
+        addTranslations: function() {
+            var table = this.getTranslationTable();
+            var translations = this.settings.translations || {};
+
+            for (var char in translations) {
+                if (!translations.hasOwnProperty(char) || !translations[char].pattern) {
+                    continue;
+                }
+
+                // Patterns are checked with PCRE on the server; skip those the browser rejects.
+                try {
+                    table[char] = {
+                        pattern: new RegExp(translations[char].pattern),
+                        optional: translations[char].optional || false,
+                        recursive: translations[char].recursive || false
+                    };
+                } catch (e) {
+                    console.warn('Mask for HTML Forms: Invalid pattern for mask character "' + char + '"');
+                }
+            }
+        },
+
+        /**
+         * Split a mask pattern into translated tokens and literals.
+         *
+         * @param {string} maskPattern Mask string.
+         * @param {object} [translation] Translation table, defaults to the engine's global tokens.
+         * @return {Array} Tokens as {char, token}, token being null for literals.
+         */
+        tokenizeMask: function(maskPattern, translation) {
+            translation = translation || this.getTranslationTable();
+
+            return String(maskPattern || '').split('').map(function(ch) {
+                return { char: ch, token: translation.hasOwnProperty(ch) ? translation[ch] : null };
+            });
+        },
+
+        /**
+         * Get the minimum and maximum number of characters a mask accepts.
+         *
+         * Optional tokens only count towards the maximum; recursive tokens make it unbounded.
+         *
+         * @param {string} maskPattern Mask string.
+         * @param {object} [translation] Translation table, defaults to the engine's global tokens.
+         * @return {{min: number, max: number}} Length bounds.
+         */
+        getMaskLengths: function(maskPattern, translation) {
+            var lengths = { min: 0, max: 0 };
+
+            this.tokenizeMask(maskPattern, translation).forEach(function(item) {
+                if (!item.token) {
+                    return;
+                }
+
+                if (item.token.recursive) {
+                    lengths.max = Infinity;
+                } else if (item.token.optional) {
+                    lengths.max += 1;
+                } else {
+                    lengths.min += 1;
+                    lengths.max += 1;
+                }
+            });
+
+            return lengths;
+        },
+
+        /**
+         * Check whether a value can be typed into a mask without invalid or overflowing characters.
+         *
+         * @param {string} mask Mask pattern.
+         * @param {string} value Raw value.
+         * @param {object} [translation] Translation table, defaults to the engine's global tokens.
+         * @return {boolean} True when the mask accepts the whole value.
+         */
+        fitsMask: function(mask, value, translation) {
+            var m = 0;
+            var v = 0;
+            var skipped;
+
+            translation = translation || this.getTranslationTable();
+
+            while (v < value.length) {
+                if (m >= mask.length) {
+                    return false;
+                }
+
+                var token = translation[mask.charAt(m)];
+                var ch = value.charAt(v);
+
+                if (!token) {
+                    // Literal: consume it when typed, otherwise the mask inserts it.
+                    if (ch === mask.charAt(m)) {
+                        v++;
+                    } else {
+                        skipped = mask.charAt(m);
+                    }
+
+                    m++;
+                } else if (token.pattern.test(ch)) {
+                    v++;
+
+                    if (!token.recursive) {
+                        m++;
+                    }
+                } else if (ch === skipped) {
+                    skipped = undefined;
+                    v++;
+                } else if (token.optional || token.recursive) {
+                    m++;
+                } else {
+                    return false;
+                }
+            }
+
+            return true;
+        },
+
+        /**
+         * Keep only the characters accepted by the mask's tokens.
+         *
+         * Masks with optional tokens also keep their separators, which place the optional parts.
+         *
+         * @param {string} value Text.
+         * @param {string} maskPattern Mask pattern.
+         * @param {object} translation Translation table.
+         * @return {string} Filtered text.
+         */
+        filterMaskChars: function(value, maskPattern, translation) {
+            var literals = '';
+            var optional = false;
+            var patterns = [];
+
+            this.tokenizeMask(maskPattern, translation).forEach(function(item) {
+                if (!item.token) {
+                    literals += item.char;
+                    return;
+                }
+
+                patterns.push(item.token.pattern);
+                optional = optional || !!item.token.optional;
+            });
+
+            if (!patterns.length) {
+                return value;
+            }
+
+            return String(value).split('').filter(function(ch) {
+                return patterns.some(function(pattern) {
+                    return pattern.test(ch);
+                }) || (optional && literals.indexOf(ch) !== -1);
+            }).join('');
+        },
+
+        /**
+         * Get a preset with its extends chain resolved.
+         *
+         * Child keys replace parent keys; objects such as options, messages or number
+         * are merged one level deep, so a child can override a single option.
+         *
+         * @param {string} presetName Preset name.
+         * @return {object|null} Resolved preset or null when unknown.
+         */
+        getPreset: function(presetName) {
+            var presets = this.settings.presets || {};
+            var chain = [];
+            var name = presetName;
+            var resolved = {};
+            var self = this;
+
+            while (name && presets.hasOwnProperty(name)) {
+                if (chain.indexOf(presets[name]) !== -1) {
+                    console.warn('Mask for HTML Forms: Circular extends in preset "' + presetName + '"');
+                    break;
+                }
+
+                chain.unshift(presets[name]);
+                name = presets[name]['extends'];
+
+                if (name && !presets.hasOwnProperty(name)) {
+                    console.warn('Mask for HTML Forms: Preset "' + presetName + '" extends unknown preset "' + name + '"');
+                }
+            }
+
+            if (!chain.length) {
+                return null;
+            }
+
+            chain.forEach(function(preset) {
+                for (var key in preset) {
+                    if (!preset.hasOwnProperty(key)) {
+                        continue;
+                    }
+
+                    var value = preset[key];
+                    var isObject = self.isPlainObject(value) || (Array.isArray(value) && !value.length);
+
+                    // PHP encodes empty arrays as [], which would wipe inherited objects.
+                    if (isObject && self.isPlainObject(resolved[key])) {
+                        resolved[key] = self.extend({}, resolved[key], Array.isArray(value) ? {} : value);
+                    } else {
+                        resolved[key] = value;
+                    }
+                }
+            });
+
+            delete resolved['extends'];
+
+            return resolved;
+        },
+
+        /**
+         * Merge a preset number config with the locale defaults.
+         *
+         * @param {object} config Preset number config.
+         * @return {object} Format with thousands, decimal, precision, negative, min and max.
+         */
+        getNumberFormat: function(config) {
+            var format = this.extend({
+                thousands: ' ',
+                decimal: ',',
+                precision: 2,
+                negative: false
+            }, this.settings.numberFormat || {}, config);
+
+            format.precision = parseInt(format.precision, 10) || 0;
+            format.negative = this.parseBoolean(format.negative, false);
+
+            return format;
+        },
+
+        /**
+         * Build a reverse mask such as "# ##0,00" from a number format.
+         *
+         * @param {object} format Number format.
+         * @return {string} Mask pattern.
+         */
+        buildNumberMask: function(format) {
+            var mask = format.thousands ? '#' + format.thousands + '##0' : '#0';
+
+            if (format.precision > 0) {
+                mask += format.decimal + new Array(format.precision + 1).join('0');
+            }
+
+            return mask;
+        },
+
+        /**
+         * Format a number with the field's separators and precision.
+         *
+         * @param {number} number Value.
+         * @param {object} format Number format.
+         * @return {string} Formatted number.
+         */
+        formatNumber: function(number, format) {
+            var parts = Math.abs(number).toFixed(format.precision).split('.');
+            var integer = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, format.thousands);
+
+            return (number < 0 ? '-' : '') + integer + (parts[1] ? format.decimal + parts[1] : '');
+        },
+
+        /**
+         * Detect the card brand from the leading digits.
+         *
+         * @param {string} value Card number (masked or clean).
+         * @return {object|null} Brand config with its name, or null.
+         */
+        detectCardBrand: function(value) {
+            var digits = String(value || '').replace(/\D/g, '');
+            var brands = this.settings.cardBrands || {};
+
+            if (!digits) {
+                return null;
+            }
+
+            for (var name in brands) {
+                if (brands.hasOwnProperty(name) && new RegExp(brands[name].pattern).test(digits)) {
+                    return this.extend({ name: name }, brands[name]);
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Convert full-width characters (e.g. "１２３") to their ASCII forms.
+         *
+         * @param {string} value Text.
+         * @return {string} Converted text.
+         */
+        transliterate: function(value) {
+            return String(value).replace(/[\uFF01-\uFF5E]/g, function(ch) {
+                return String.fromCharCode(ch.charCodeAt(0) - 0xFEE0);
+            }).replace(/\u3000/g, ' ');
+        },
+
+        /**
+         * Read a pasted amount written with either decimal separator.
+         *
+         * @param {string} value Pasted amount, e.g. "1,234.5" or "1 234,50".
+         * @param {object} format Number format.
+         * @return {string} Digits with the fraction padded to the precision, e.g. "123450".
+         */
+        normalizeNumber: function(value, format) {
+            var negative = format.negative && /^[^\d]*[-\u2212]/.test(value);
+
+            // Drop currency symbols and other text around the amount.
+            value = String(value).replace(/^[^\d]+|[^\d]+$/g, '');
+
+            var last = Math.max(value.lastIndexOf('.'), value.lastIndexOf(','), format.decimal ? value.lastIndexOf(format.decimal) : -1);
+            var integer = value;
+            var fraction = '';
+
+            if (last !== -1) {
+                var tail = value.slice(last + 1);
+
+                if (/^\d+$/.test(tail) && (tail.length <= format.precision || tail.length !== 3)) {
+                    integer = value.slice(0, last);
+                    fraction = tail;
+                }
+            }
+
+            integer = integer.replace(/\D/g, '');
+
+            if (!integer && !fraction) {
+                return '';
+            }
+
+            fraction = (fraction + new Array(format.precision + 1).join('0')).slice(0, format.precision);
+
+            return (negative ? '-' : '') + (integer || '0') + fraction;
+        },
+
+        /**
+         * Build the name of the hidden clean-value field.
+         *
+         * @param {string} name Field name, e.g. "phone" or "contact[phone]".
+         * @return {string} Raw field name, e.g. "phone_raw" or "contact[phone_raw]".
+         */
+        getRawFieldName: function(name) {
+            return name.replace(/(\])?$/, '_raw$1');
+        },
+
+        /**
+         * Register or replace a validator.
+         *
+         * @param {string} name Validator name.
+         * @param {Function} callback Receives (cleanValue, field), returns boolean.
+         */
+        registerValidator: function(name, callback) {
+            if (typeof callback === 'function') {
+                this.validators[name] = callback;
+            }
+        },
+
+        /**
+         * Validate a clean date value and optional data-mask-min-date / data-mask-max-date bounds.
+         *
+         * @param {string} value Clean value (8 digits).
+         * @param {string} order Part order, 'dmy' or 'ymd'.
+         * @param {jQuery|Element} field Target field.
+         * @return {boolean|string|object} True when valid, otherwise message key or {code, args}.
+         */
+        validateDate: function(value, order, field) {
+            if (!/^\d{8}$/.test(value)) {
+                return 'invalidDate';
+            }
+
+            var date = order === 'ymd' ? {
+                y: parseInt(value.substr(0, 4), 10),
+                m: parseInt(value.substr(4, 2), 10),
+                d: parseInt(value.substr(6, 2), 10)
+            } : {
+                d: parseInt(value.substr(0, 2), 10),
+                m: parseInt(value.substr(2, 2), 10),
+                y: parseInt(value.substr(4, 4), 10)
+            };
+
+            if (date.y < 1 || date.m < 1 || date.m > 12 || date.d < 1 || date.d > this.getDaysInMonth(date.y, date.m)) {
+                return 'invalidDate';
+            }
+
+            var node = this.getNode(field);
+            var min = this.parseDateBound(node ? node.getAttribute('data-mask-min-date') : null);
+            var max = this.parseDateBound(node ? node.getAttribute('data-mask-max-date') : null);
+            var key = this.getDateKey(date);
+
+            if (min && key < this.getDateKey(min)) {
+                return { code: 'dateTooEarly', args: [this.formatDate(min, order, field)] };
+            }
+
+            if (max && key > this.getDateKey(max)) {
+                return { code: 'dateTooLate', args: [this.formatDate(max, order, field)] };
+            }
+
+            return true;
+        },
+
+        /**
+         * Number of days in a month, accounting for leap years.
+         *
+         * @param {number} year Full year.
+         * @param {number} month Month (1-12).
+         * @return {number} Day count.
+         */
+        getDaysInMonth: function(year, month) {
+            if (month === 2) {
+                var leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+                return leap ? 29 : 28;
+            }
+
+            return [4, 6, 9, 11].indexOf(month) !== -1 ? 30 : 31;
+        },
+
+        /**
+         * Parse a date bound attribute.
+         *
+         * Accepts YYYY-MM-DD, "today" or a relative offset such as "today-18y" (d, m, y units).
+         *
+         * @param {string} bound Attribute value.
+         * @return {object|null} Date parts {y, m, d} or null.
+         */
+        parseDateBound: function(bound) {
+            if (!bound) {
+                return null;
+            }
+
+            var iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(bound);
+
+            if (iso) {
+                return { y: parseInt(iso[1], 10), m: parseInt(iso[2], 10), d: parseInt(iso[3], 10) };
+            }
+
+            var relative = /^today(?:([+-]\d+)([dmy]))?$/.exec(String(bound).toLowerCase());
+
+            if (!relative) {
+                console.warn('Mask for HTML Forms: Invalid date bound "' + bound + '"');
+                return null;
+            }
+
+            var now = new Date();
+            var amount = relative[1] ? parseInt(relative[1], 10) : 0;
+            var date = new Date(
+                now.getFullYear() + (relative[2] === 'y' ? amount : 0),
+                now.getMonth() + (relative[2] === 'm' ? amount : 0),
+                now.getDate() + (relative[2] === 'd' ? amount : 0)
+            );
+
+            return { y: date.getFullYear(), m: date.getMonth() + 1, d: date.getDate() };
+        },
+
+        /**
+         * Comparable numeric key for date parts.
+         *
+         * @param {object} date Date parts {y, m, d}.
+         * @return {number} Key in YYYYMMDD form.
+         */
+        getDateKey: function(date) {
+            return date.y * 10000 + date.m * 100 + date.d;
+        },
+
+        /**
+         * Format date parts using the field mask.
+         *
+         * @param {object} date Date parts {y, m, d}.
+         * @param {string} order Part order, 'dmy' or 'ymd'.
+         * @param {jQuery|Element} field Target field.
+         * @return {string} Formatted date.
+         */
+        formatDate: function(date, order, field) {
+            var pad = function(number, size) {
+                var str = String(number);
+
+                while (str.length < size) {
+                    str = '0' + str;
+                }
+
+                return str;
+            };
+            var parts = order === 'ymd' ? [pad(date.y, 4), pad(date.m, 2), pad(date.d, 2)] : [pad(date.d, 2), pad(date.m, 2), pad(date.y, 4)];
+
+            if (this.getMaskInstance(field)) {
+                return this.getMaskedValue(field, parts.join(''));
+            }
+
+            return parts.join(order === 'ymd' ? '-' : '/');
+        },
+
+        /**
+         * Verify a weighted checksum where the last digit is the control digit.
+         *
+         * @param {string} value Digits only.
+         * @param {Array} weights Weights for all digits except the control digit.
+         * @param {Function} getControl Maps the weighted sum to the expected control digit.
+         * @return {boolean} True when the control digit matches.
+         */
+        checkWeightedSum: function(value, weights, getControl) {
+            var digits = String(value);
+
+            // All-zero numbers pass every weighted sum but are never issued.
+            if (digits.length !== weights.length + 1 || !/^\d+$/.test(digits) || /^0+$/.test(digits)) {
+                return false;
+            }
+
+            var sum = 0;
+
+            weights.forEach(function(weight, index) {
+                sum += weight * parseInt(digits.charAt(index), 10);
+            });
+
+            return parseInt(digits.charAt(weights.length), 10) === getControl(sum);
+        },
+
+        /**
+         * Verify a number with the Luhn (mod 10) algorithm.
+         *
+         * @param {string} value Digits only.
+         * @return {boolean} True when the check digit matches.
+         */
+        checkLuhn: function(value) {
+            var digits = String(value);
+            var sum = 0;
+
+            if (!/^\d{2,}$/.test(digits) || /^0+$/.test(digits)) {
+                return false;
+            }
+
+            for (var i = 0; i < digits.length; i++) {
+                var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+
+                if (i % 2 === 1) {
+                    digit *= 2;
+
+                    if (digit > 9) {
+                        digit -= 9;
+                    }
+                }
+
+                sum += digit;
+            }
+
+            return sum % 10 === 0;
+        },
+
+        /**
+         * Format helper for localized messages.
+         *
+         * A template may be a list of plural forms, chosen by the first argument.
+         *
+         * @param {string|Array} template Message template or plural forms.
+         * @param {Array} args Arguments for %s and %1$s placeholders.
+         * @param {string} [locale] Locale of the template, defaults to the site locale.
+         * @return {string} Message text.
+         */
+        formatMessage: function(template, args, locale) {
+            args = args || [];
+
+            if (Array.isArray(template)) {
+                template = this.selectPluralForm(template, args[0], this.normalizeLocale(locale || this.settings.locale || 'en'));
+            }
+
+            if (!template) {
+                return '';
+            }
+
+            return template.replace(/%(\d+)\$s/g, function(match, number) {
+                var index = parseInt(number, 10) - 1;
+                return typeof args[index] !== 'undefined' ? args[index] : match;
+            }).replace(/%s/g, function() {
+                var val = args.shift();
+                return typeof val !== 'undefined' ? val : '';
+            });
+        },
+
+        /**
+         * Pick the plural form of a message.
+         *
+         * @param {string|Array} message Message or plural forms in gettext order.
+         * @param {number|string} [count] Count; non-integers use the last form.
+         * @param {string} locale Normalized locale of the message.
+         * @return {string} Message text.
+         */
+        selectPluralForm: function(message, count, locale) {
+            if (!Array.isArray(message)) {
+                return message;
+            }
+
+            if (typeof count === 'undefined' || count === null) {
+                return message[0];
+            }
+
+            var n = Number(count);
+            var rule = this.pluralRules[locale] || this.pluralRules[locale.split('-')[0]] || this.pluralRules.en;
+            var index = isFinite(n) && n % 1 === 0 ? rule(Math.abs(n)) : message.length - 1;
+
+            return message[Math.min(index, message.length - 1)];
+        },
+
+        /**
+         * Normalize a locale to a lowercase language tag (pl_PL becomes pl-pl).
+         *
+         * @param {string} locale Locale or language tag.
+         * @return {string} Normalized locale.
+         */
+        normalizeLocale: function(locale) {
+            return String(locale).trim().toLowerCase().replace(/_/g, '-');
+        },
+
+        /**
+         * Check whether two normalized locales are equal or one is the language of the other.
+         *
+         * @param {string} a Normalized locale.
+         * @param {string} b Normalized locale.
+         * @return {boolean} True when they match.
+         */
+        localeMatches: function(a, b) {
+            return a === b || a.split('-')[0] === b || b.split('-')[0] === a;
+        },
+
+        /**
+         * Get the locale of a field: the nearest data-mask-locale or lang, or the site locale.
+         *
+         * @param {jQuery|Element} [field] Field or form element.
+         * @return {string} Normalized locale.
+         */
+        getLocale: function(field) {
+            var node = this.getNode(field);
+            var source = node && node.closest ? node.closest('[data-mask-locale], [lang]') : null;
+            var locale = (source && (source.getAttribute('data-mask-locale') || source.getAttribute('lang'))) || this.settings.locale || 'en';
+
+            return this.normalizeLocale(locale);
+        },
+
+        /**
+         * Find the catalog of a locale, preferring an exact match over one for the same language.
+         *
+         * @param {object} catalogs Catalogs keyed by locale; other entries are ignored.
+         * @param {string} tag Normalized locale.
+         * @return {object|null} Messages or null.
+         */
+        findCatalog: function(catalogs, tag) {
+            var match = null;
+
+            for (var locale in catalogs || {}) {
+                var normalized = this.normalizeLocale(locale);
+
+                if (!catalogs.hasOwnProperty(locale) || !this.isPlainObject(catalogs[locale]) || !this.localeMatches(normalized, tag)) {
+                    continue;
+                }
+
+                if (normalized === tag) {
+                    return catalogs[locale];
+                }
+
+                match = match || catalogs[locale];
+            }
+
+            return match;
+        },
+
+        /**
+         * Get the message catalogs to search for a field, in order.
+         *
+         * The preset's messages for the locale, the preset's own messages, the
+         * catalog of the locale (the localized messages for the site locale),
+         * then the same for English.
+         *
+         * @param {jQuery|Element} [field] Field whose preset and locale choose the catalogs.
+         * @return {Array} Catalogs with locale and messages.
+         */
+        getCatalogs: function(field) {
+            var self = this;
+            var site = this.normalizeLocale(this.settings.locale || 'en');
+            var presetMessages = this.getNode(field) ? this.getFieldData(field, 'mfhfMessages') || {} : {};
+            var catalogs = [];
+            var add = function(messages, locale) {
+                if (messages) {
+                    catalogs.push({ locale: locale, messages: messages });
+                }
+            };
+
+            [this.getLocale(field), 'en'].forEach(function(tag, index) {
+                add(self.findCatalog(presetMessages, tag), tag);
+
+                if (index === 0) {
+                    add(presetMessages, tag);
+                }
+
+                add(self.findCatalog(self.settings.catalogs, tag), tag);
+
+                if (self.localeMatches(site, tag)) {
+                    add(self.settings.messages, site);
+                }
+            });
+
+            return catalogs;
+        },
+
+        /**
+         * Safely retrieve a localized message with an optional fallback.
+         *
+         * @param {string} key Message key.
+         * @param {string|Array} fallback Fallback text (English), or its plural forms.
+         * @param {jQuery|Element} [field] Field whose locale and preset choose the message.
+         * @param {number|string} [count] Count choosing the plural form.
+         * @return {string} Message text.
+         */
+        getMessage: function(key, fallback, field, count) {
+            var catalogs = this.getCatalogs(field);
+
+            for (var i = 0; i < catalogs.length; i++) {
+                var message = catalogs[i].messages[key];
+
+                if (message && (typeof message === 'string' || (Array.isArray(message) && message.length))) {
+                    return this.selectPluralForm(message, count, catalogs[i].locale);
+                }
+            }
+
+            return this.selectPluralForm(fallback || '', count, 'en');
+        }
+    };
+
+    // Expose to global scope for the engines.
+    window.MaskForHtmlFormsCore = MaskForHtmlFormsCore;
+
+})(window);
@@ -2,7 +2,8 @@
  * Mask for HTML Forms - Initialization Script
  *
  * Initializes jQuery Mask Plugin on HTML Forms fields that have
- * data-mask or data-mask-preset attributes.
+ * data-mask or data-mask-preset attributes. Validators, messages,
+ * presets and the mask tokenizer come from mask-core.js.
  *
  * @package MaskForHtmlForms
  * @since   1.0.0
@@ -12,9 +13,14 @@
     'use strict';
 
     /**
-     * Main initialization object.
+     * Main initialization object, built on the shared core.
      */
-    var MaskForHtmlForms = {
+    var MaskForHtmlForms = $.extend({}, window.MaskForHtmlFormsCore, {
+
+        /**
+         * Masking engine name (mask-vanilla.js sets "vanilla").
+         */
+        engine: 'jquery',
 
         /**
          * Track whether mask wrapper is installed.
@@ -26,223 +32,1759 @@
          */
         errorStylesInjected: false,
 
+        /**
+         * Counter for generated field IDs.
+         */
+        fieldIdCounter: 0,
+
+        /**
+         * Whether init() has run and destroy() has not.
+         */
+        initialized: false,
+
+        /**
+         * Whether the HTML Forms success handler is bound (html_forms has no way to unbind it).
+         */
+        htmlFormsBound: false,
+
+        /**
+         * Native listeners added by init(), removed by destroy().
+         */
+        listeners: [],
+
+        /**
+         * Dynamic input registry: the page observer, one observer per form container,
+         * nodes waiting for the next animation frame and that frame's id.
+         */
+        dynamic: null,
+
         /**
          * Plugin settings (passed from PHP via wp_localize_script).
          */
         settings: window.mfhfSettings || {},
 
         /**
-         * Format helper for localized messages.
+         * Inline error renderers referenced by the errorRenderer setting or data-mask-error-renderer.
+         *
+         * Each is {render($element, message, context), clear($element, $error, context)}.
+         */
+        errorRenderers: {},
+
+        /**
+         * Built-in inline error renderer, created by getErrorRenderer().
+         */
+        defaultErrorRenderer: null,
+
+        /**
+         * Register or replace an inline error renderer.
+         *
+         * render() receives the field, the message and the context from
+         * getErrorContext() and returns the error element, if it creates one;
+         * clear() removes it. The field's invalid class and ARIA attributes are
+         * handled for every renderer.
+         *
+         * @param {string} name Renderer name.
+         * @param {object} renderer Object with render and optional clear functions.
+         */
+        registerErrorRenderer: function(name, renderer) {
+            if (renderer && typeof renderer.render === 'function') {
+                this.errorRenderers[name] = renderer;
+            }
+        },
+
+        /**
+         * Initialize the mask functionality.
+         *
+         * Document handlers are bound once; later calls only refresh the masks.
+         */
+        init: function() {
+            if (this.initialized) {
+                this.refresh();
+                return;
+            }
+
+            this.initialized = true;
+            this.installEventDetailSupport();
+            this.installInlineErrorSupport();
+            this.applyMasks();
+            this.setupDynamicMasks();
+            this.setupFormEvents();
+            this.setupMaskSwitching();
+            this.setupEditing();
+            this.setupDependentMasks();
+            this.setupPhoneCountries();
+            this.setupBlurCheck();
+            this.setupInvalidHandler();
+            this.setupLiveValidation();
+        },
+
+        /**
+         * Apply masks to all matching inputs.
+         */
+        applyMasks: function() {
+            var self = this;
+
+            // Apply preset masks first.
+            $('[data-mask-preset]').each(function() {
+                self.applyPresetMask($(this));
+            });
+
+            // Apply data-mask attributes (handled by jQuery Mask Plugin automatically).
+            // We just need to ensure custom translations are available.
+            this.extendTranslations();
+
+            // Trigger jQuery Mask Plugin's data-mask detection.
+            $.applyDataMask();
+        },
+
+        /**
+         * Apply a preset mask to an element.
+         *
+         * A pipe-separated list (e.g. "phone-pl|phone-pl-intl") switches
+         * between the listed presets while the user types.
+         *
+         * @param {jQuery} $element The input element.
+         */
+        applyPresetMask: function($element) {
+            var presetName = $element.attr('data-mask-preset') || '';
+
+            if (presetName.indexOf('|') !== -1) {
+                this.applySwitchingMask($element, presetName.split('|'));
+                return;
+            }
+
+            this.applyNamedPreset($element, presetName);
+        },
+
+        /**
+         * Apply a single named preset to an element.
+         *
+         * @param {jQuery} $element The input element.
+         * @param {string} presetName Preset name.
+         */
+        applyNamedPreset: function($element, presetName) {
+            var preset = this.getPreset(presetName);
+
+            if (!preset) {
+                console.warn('Mask for HTML Forms: Unknown preset "' + presetName + '"');
+                return;
+            }
+
+            var options = $.extend({}, preset.options || {}, this.getInlineMaskOptions($element));
+            var mask = preset.mask;
+
+            // Remember the preset validator for completeness checks.
+            $element.data('mfhfValidator', preset.validator || '');
+            $element.data('mfhfActivePreset', presetName);
+            $element.data('mfhfMessages', preset.messages || {});
+            $element.data('mfhfError', preset.error || '');
+
+            if (preset.number) {
+                var format = this.getNumberFormat(preset.number);
+
+                $element.data('mfhfNumberFormat', format);
+                mask = this.buildNumberMask(format);
+                options = this.withNumberOptions(format, options);
+            } else {
+                $element.removeData('mfhfNumberFormat');
+            }
+
+            if (preset.cardBrands) {
+                mask = this.getCardMaskResolver(mask);
+            }
+
+            if (preset.phone) {
+                $element.data('mfhfPhoneCountries', preset.phone);
+                mask = this.getPhoneMaskResolver($element, mask);
+            } else {
+                $element.removeData('mfhfPhoneCountries');
+            }
+
+            // Apply the mask.
+            $element.mask(mask, options);
+        },
+
+        /**
+         * Read mask options set inline on a preset field.
+         *
+         * @param {jQuery} $element The input element.
+         * @return {object} Options from data-mask-placeholder, -reverse, -clearifnotmatch and -selectonfocus.
+         */
+        getInlineMaskOptions: function($element) {
+            var options = {};
+            var attributes = {
+                placeholder: 'data-mask-placeholder',
+                reverse: 'data-mask-reverse',
+                clearIfNotMatch: 'data-mask-clearifnotmatch',
+                selectOnFocus: 'data-mask-selectonfocus'
+            };
+            var self = this;
+
+            $.each(attributes, function(option, attribute) {
+                var value = $element.attr(attribute);
+
+                if (typeof value === 'undefined') {
+                    return;
+                }
+
+                options[option] = option === 'placeholder' ? value : self.parseBoolean(value, true);
+            });
+
+            return options;
+        },
+
+        /**
+         * Add reverse masking and optional minus sign support to number options.
+         *
+         * jQuery Mask has no sign support, so "-" is accepted by every digit token
+         * and the value is re-masked with a single leading sign.
+         *
+         * @param {object} format Number format.
+         * @param {object} options Preset options.
+         * @return {object} Mask options.
+         */
+        withNumberOptions: function(format, options) {
+            var opts = $.extend({ reverse: true }, options);
+
+            if (!format.negative) {
+                return opts;
+            }
+
+            opts.translation = $.extend({}, opts.translation, {
+                '0': { pattern: /[-\d]/ },
+                '#': { pattern: /[-\d]/, recursive: true }
+            });
+
+            opts.onChange = function(value, e, $field) {
+                var sign = value.charAt(0) === '-' ? '-' : '';
+                var digits = value.replace(/\D/g, '');
+                var normalized = sign + (digits ? $field.masked(digits) : '');
+
+                if (normalized !== value) {
+                    $field.val(normalized);
+                }
+            };
+
+            return opts;
+        },
+
+        /**
+         * Get the value of an input as a JavaScript number.
+         *
+         * Number presets are read with their separators and precision, so "1 234,56"
+         * gives 1234.56; other fields parse their clean value.
+         *
+         * @param {jQuery|string} selector Input element or selector.
+         * @return {number} Numeric value, NaN when empty or not numeric.
+         */
+        getNumericValue: function(selector) {
+            var $element = $(selector);
+            var format = $element.data('mfhfNumberFormat');
+
+            if (!format) {
+                return parseFloat(this.getCleanValue($element));
+            }
+
+            var value = String($element.val() || '');
+            var digits = value.replace(/\D/g, '');
+
+            if (!digits) {
+                return NaN;
+            }
+
+            var number = parseInt(digits, 10) / Math.pow(10, format.precision);
+
+            return value.charAt(0) === '-' ? -number : number;
+        },
+
+        /**
+         * Build a mask function that follows the card brand detected from the IIN prefix.
+         *
+         * @param {string} defaultMask Mask used until a brand is recognised.
+         * @return {Function} Mask resolver for jQuery Mask.
+         */
+        getCardMaskResolver: function(defaultMask) {
+            var self = this;
+
+            return function(val, e, $field) {
+                var brand = self.detectCardBrand(val);
+
+                if ($field) {
+                    self.setCardBrand($field, brand);
+                }
+
+                return brand ? brand.mask : defaultMask;
+            };
+        },
+
+        /**
+         * Expose the detected brand as data-mask-card-brand and the mfhf:card-brand event (detail.brand).
+         *
+         * @param {jQuery} $element Target element.
+         * @param {object|null} brand Detected brand.
+         */
+        setCardBrand: function($element, brand) {
+            var name = brand ? brand.name : '';
+
+            if (($element.attr('data-mask-card-brand') || '') === name) {
+                return;
+            }
+
+            if (name) {
+                $element.attr('data-mask-card-brand', name);
+            } else {
+                $element.removeAttr('data-mask-card-brand');
+            }
+
+            this.emit($element, 'card-brand', { brand: name, brandConfig: brand });
+        },
+
+        /**
+         * Build a mask function that follows the phone country.
+         *
+         * With a companion field (data-mask-country) the national mask is used,
+         * otherwise the country is detected from the typed +CC prefix.
+         *
+         * jQuery Mask also calls the resolver with the value only, so it is bound to the element.
+         *
+         * @param {jQuery} $element Phone input element.
+         * @param {string} defaultMask Mask used until a country is recognised.
+         * @return {Function} Mask resolver for jQuery Mask.
+         */
+        getPhoneMaskResolver: function($element, defaultMask) {
+            var self = this;
+
+            return function(val) {
+                var country = self.detectPhoneCountry($element, val);
+
+                self.setPhoneCountry($element, country);
+
+                if (!country) {
+                    return defaultMask;
+                }
+
+                if (self.getPhoneCountryFromControl($element)) {
+                    return country.mask;
+                }
+
+                return '+' + new Array(country.code.length + 1).join('0') + ' ' + country.mask;
+            };
+        },
+
+        /**
+         * Detect the phone country from the companion field or the dial code prefix.
+         *
+         * @param {jQuery} $element Phone input element.
+         * @param {string} value Phone number (masked or clean).
+         * @return {object|null} Country config with its name, or null.
+         */
+        detectPhoneCountry: function($element, value) {
+            var digits = String(value || '').replace(/\D/g, '');
+            var found = this.getPhoneCountryFromControl($element);
+
+            if (found) {
+                return found;
+            }
+
+            $.each($element.data('mfhfPhoneCountries') || {}, function(name, country) {
+                if (digits.indexOf(country.code) === 0 && (!found || country.code.length > found.code.length)) {
+                    found = $.extend({ name: name }, country);
+                }
+            });
+
+            return found;
+        },
+
+        /**
+         * Get the country selected in the field named by data-mask-country.
+         *
+         * The companion value may be an ISO code ("PL") or a dial code ("+48").
+         *
+         * @param {jQuery} $element Phone input element.
+         * @return {object|null} Country config with its name, or null.
+         */
+        getPhoneCountryFromControl: function($element) {
+            var name = $element.attr('data-mask-country');
+            var found = null;
+
+            if (!name) {
+                return null;
+            }
+
+            var $control = this.getFieldScope($element).find('[name]').filter(function() {
+                return $(this).attr('name') === name;
+            });
+
+            if ($control.is(':radio')) {
+                $control = $control.filter(':checked');
+            }
+
+            var value = String($control.val() || '').toUpperCase();
+
+            $.each($element.data('mfhfPhoneCountries') || {}, function(key, country) {
+                if (value && (key.toUpperCase() === value || '+' + country.code === value || country.code === value)) {
+                    found = $.extend({ name: key }, country);
+                    return false;
+                }
+            });
+
+            return found;
+        },
+
+        /**
+         * Expose the phone country as data-mask-phone-country and the mfhf:phone-country event (detail.country).
+         *
+         * @param {jQuery} $element Target element.
+         * @param {object|null} country Detected country.
+         */
+        setPhoneCountry: function($element, country) {
+            var name = country ? country.name : '';
+
+            if (($element.attr('data-mask-phone-country') || '') === name) {
+                return;
+            }
+
+            if (name) {
+                $element.attr('data-mask-phone-country', name);
+            } else {
+                $element.removeAttr('data-mask-phone-country');
+            }
+
+            this.emit($element, 'phone-country', { country: name, countryConfig: country });
+        },
+
+        /**
+         * Get a phone number in E.164 format, e.g. "+48123456789".
+         *
+         * @param {jQuery} $element Phone input element.
+         * @return {string} E.164 number or empty string.
          */
-        formatMessage: function(template, args) {
-            if (!template) {
+        getPhoneNumber: function($element) {
+            var digits = $element.cleanVal().replace(/\D/g, '');
+            var country = this.getPhoneCountryFromControl($element);
+
+            if (!digits) {
                 return '';
             }
 
-            return template.replace(/%(\d+)\$s/g, function(match, number) {
-                var index = parseInt(number, 10) - 1;
-                return typeof args[index] !== 'undefined' ? args[index] : match;
-            }).replace(/%s/g, function() {
-                var val = args.shift();
-                return typeof val !== 'undefined' ? val : '';
+            return '+' + (country ? country.code : '') + digits;
+        },
+
+        /**
+         * Re-mask phone fields when their companion country field changes.
+         */
+        setupPhoneCountries: function() {
+            var self = this;
+
+            $(document).on('change.mfhf', 'input[name], select[name]', function() {
+                var name = $(this).attr('name');
+
+                self.getFieldScope($(this)).find('[data-mask-country]').filter(function() {
+                    return $(this).attr('data-mask-country') === name && $(this).data('mfhfPhoneCountries');
+                }).each(function() {
+                    var $input = $(this);
+
+                    self.applyNamedPreset($input, $input.data('mfhfActivePreset'));
+
+                    if ($input.val()) {
+                        self.updateFieldState($input);
+                        self.handleInlineIncomplete($input);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Apply a multi-mask field that switches presets based on its value.
+         *
+         * @param {jQuery} $element The input element.
+         * @param {Array} names Candidate preset names in order of preference.
+         */
+        applySwitchingMask: function($element, names) {
+            var self = this;
+            var candidates = [];
+
+            $.each(names, function(index, name) {
+                name = $.trim(name);
+
+                if (self.getPreset(name)) {
+                    candidates.push(name);
+                } else {
+                    console.warn('Mask for HTML Forms: Unknown preset "' + name + '"');
+                }
+            });
+
+            if (!candidates.length) {
+                return;
+            }
+
+            $element.data('mfhfMaskCandidates', candidates);
+
+            // Keep the active preset on repeated calls, so refreshing does not rebuild the mask.
+            if (!this.getMaskInstance($element) || $.inArray($element.data('mfhfActivePreset'), candidates) === -1) {
+                $element.removeData('mfhfActivePreset');
+            }
+
+            // Capture the raw value before jQuery Mask reformats it with the active mask.
+            // Bound once, ahead of the plugin's own handlers, which it rebinds on every mask call.
+            if (!$element.data('mfhfSwitchBound')) {
+                $element.on('input.mfhfSwitch', function() {
+                    $(this).data('mfhfRawValue', this.value);
+                    $(this).data('mfhfRawCaret', this.selectionStart);
+                });
+                $element.data('mfhfSwitchBound', true);
+            }
+
+            this.switchMask($element, $element.val());
+        },
+
+        /**
+         * Re-mask a multi-mask field when another candidate fits its raw value.
+         *
+         * @param {jQuery} $element The input element.
+         * @param {string} raw Value as typed, before masking.
+         * @param {number} [caret] Caret position within the raw value.
+         * @return {boolean} True when the mask was switched.
+         */
+        switchMask: function($element, raw, caret) {
+            var candidates = $element.data('mfhfMaskCandidates') || [];
+            var active = $element.data('mfhfActivePreset');
+            var next = this.resolveMaskCandidate(candidates, active, raw || '');
+
+            if (!next || next === active) {
+                return false;
+            }
+
+            $element.unmask();
+            $element.val(raw);
+            this.applyNamedPreset($element, next);
+
+            // The masks limit the length; maxlength from a shorter mask would block the keystroke that switches.
+            $element.removeAttr('maxlength');
+
+            if (typeof caret === 'number' && $element.is(':focus')) {
+                this.setCaret($element, $element.masked(raw.slice(0, caret)).length);
+            }
+
+            return true;
+        },
+
+        /**
+         * Choose the first candidate preset that accepts the raw value.
+         *
+         * The value is tried as typed first, then without the active mask's literals
+         * so that separators left by the previous mask do not block a longer mask.
+         *
+         * @param {Array} candidates Candidate preset names.
+         * @param {string} active Active preset name.
+         * @param {string} raw Raw value.
+         * @return {string} Preset name, or the active preset when none fits.
+         */
+        resolveMaskCandidate: function(candidates, active, raw) {
+            var self = this;
+            var values = [raw];
+            var found = '';
+
+            if (active) {
+                values.push(this.stripMaskLiterals(raw, this.getPreset(active).mask));
+            }
+
+            $.each(values, function(index, value) {
+                $.each(candidates, function(i, name) {
+                    if (self.fitsMask(self.getPreset(name).mask, value)) {
+                        found = name;
+                        return false;
+                    }
+                });
+
+                return !found;
+            });
+
+            return found || active || candidates[0];
+        },
+
+        /**
+         * Remove characters used as literals in a mask.
+         *
+         * @param {string} value Raw value.
+         * @param {string} mask Mask pattern.
+         * @return {string} Value without literal characters.
+         */
+        stripMaskLiterals: function(value, mask) {
+            var translation = $.jMaskGlobals.translation;
+
+            return String(value).split('').filter(function(ch) {
+                return translation[ch] || mask.indexOf(ch) === -1;
+            }).join('');
+        },
+
+        /**
+         * Move the caret, re-applying it after jQuery Mask's own deferred caret update.
+         *
+         * @param {jQuery} $element Target element.
+         * @param {number} position Caret position.
+         */
+        setCaret: function($element, position) {
+            var el = $element.get(0);
+            var apply = function() {
+                try {
+                    el.setSelectionRange(position, position);
+                } catch (e) {
+                    // Input types without selection support.
+                }
+            };
+
+            apply();
+            setTimeout(apply, ($.jMaskGlobals.keyStrokeCompensation || 10) + 1);
+        },
+
+        /**
+         * Switch multi-mask fields after jQuery Mask has processed each keystroke.
+         */
+        setupMaskSwitching: function() {
+            var self = this;
+
+            $(document).on('input.mfhf', '[data-mask-preset*="|"]', function() {
+                var $el = $(this);
+                var raw = $el.data('mfhfRawValue');
+
+                if (typeof raw !== 'string') {
+                    return;
+                }
+
+                $el.removeData('mfhfRawValue');
+                self.switchMask($el, raw, $el.data('mfhfRawCaret'));
+            });
+        },
+
+        /**
+         * Normalize pasted text, keep the caret in place while editing and wait for IME composition.
+         *
+         * Capture listeners on the document run before jQuery Mask's own handlers on the field.
+         */
+        setupEditing: function() {
+            var self = this;
+            var remember = function(event) {
+                var $el = $(event.target);
+
+                if (self.getMaskInstance($el) && !$el.data('mfhfComposing')) {
+                    $el.data('mfhfBefore', { value: event.target.value, caret: event.target.selectionStart });
+                }
+            };
+
+            this.listen(document, 'keydown', remember, true);
+            this.listen(document, 'beforeinput', remember, true);
+
+            this.listen(document, 'paste', function(event) {
+                self.handlePaste(event);
+            }, true);
+
+            this.listen(document, 'compositionstart', function(event) {
+                if (self.getMaskInstance($(event.target))) {
+                    $(event.target).data('mfhfComposing', true);
+                }
+            }, true);
+
+            // Mask the composed text once; input events during the composition were held back.
+            this.listen(document, 'compositionend', function(event) {
+                var $el = $(event.target);
+
+                if (!$el.data('mfhfComposing')) {
+                    return;
+                }
+
+                $el.removeData('mfhfComposing');
+                self.applyRawValue($el, event.target.value, event.target.selectionStart);
+            }, true);
+
+            this.listen(document, 'input', function(event) {
+                self.beforeMaskInput(event);
+            }, true);
+
+            $(document).on('input.mfhf', function(event) {
+                self.afterMaskInput($(event.target));
+            });
+        },
+
+        /**
+         * Prepare a keystroke for jQuery Mask.
+         *
+         * Holds back input while an IME composes text, and turns the deletion of a
+         * separator (which the mask would put back) into the deletion of the character next to it.
+         *
+         * @param {Event} event Native input event.
+         */
+        beforeMaskInput: function(event) {
+            var el = event.target;
+            var $el = $(el);
+
+            if (!this.getMaskInstance($el)) {
+                return;
+            }
+
+            if ($el.data('mfhfComposing') || event.isComposing) {
+                event.stopPropagation();
+                return;
+            }
+
+            var before = $el.data('mfhfBefore');
+            var raw = el.value;
+            var caret = typeof el.selectionStart === 'number' ? el.selectionStart : raw.length;
+            var deleting = !!before && raw.length < before.value.length;
+
+            $el.removeData('mfhfBefore');
+
+            if (deleting && $el.masked(raw) === before.value) {
+                var forward = event.inputType ? event.inputType === 'deleteContentForward' : caret === before.caret;
+                var index = this.findMaskChar($el, raw, caret, forward);
+
+                if (index !== -1) {
+                    raw = raw.slice(0, index) + raw.slice(index + 1);
+                    caret = forward ? caret : index;
+                    el.value = raw;
+                    this.setCaret($el, caret);
+                }
+            }
+
+            $el.data('mfhfInput', { raw: raw, caret: caret, deleting: deleting });
+        },
+
+        /**
+         * Move the caret next to the same character once jQuery Mask has reformatted the value.
+         *
+         * @param {jQuery} $element The input element.
+         */
+        afterMaskInput: function($element) {
+            var input = $element.data('mfhfInput');
+
+            $element.removeData('mfhfInput');
+
+            if (!input || !this.getMaskInstance($element) || !$element.is(':focus')) {
+                return;
+            }
+
+            this.setCaret($element, this.getMaskedCaret($element, input.raw, input.caret, input.deleting));
+        },
+
+        /**
+         * Map a caret position in the value as typed to the masked value.
+         *
+         * Forward masks keep the characters before the caret, reverse masks the ones after it.
+         *
+         * @param {jQuery} $element The input element.
+         * @param {string} raw Value as typed.
+         * @param {number} caret Caret position in the raw value.
+         * @param {boolean} deleting Whether characters were deleted.
+         * @return {number} Caret position in the masked value.
+         */
+        getMaskedCaret: function($element, raw, caret, deleting) {
+            var instance = this.getMaskInstance($element);
+            var masked = $element.val();
+            var position;
+
+            if (caret >= raw.length) {
+                return masked.length;
+            }
+
+            if (instance.options && instance.options.reverse) {
+                position = masked.length - $element.masked(raw.slice(caret)).length;
+            } else {
+                position = $element.masked(raw.slice(0, caret)).length;
+            }
+
+            position = Math.max(0, Math.min(position, masked.length));
+
+            // After a deletion stay next to the remaining character, not after a separator.
+            while (deleting && position > 0 && !this.isMaskChar($element, masked.charAt(position - 1))) {
+                position--;
+            }
+
+            return position;
+        },
+
+        /**
+         * Find the nearest character accepted by one of the mask's tokens.
+         *
+         * @param {jQuery} $element The input element.
+         * @param {string} value Value to search.
+         * @param {number} caret Caret position.
+         * @param {boolean} forward Search after the caret instead of before it.
+         * @return {number} Character index or -1.
+         */
+        findMaskChar: function($element, value, caret, forward) {
+            var i;
+
+            if (forward) {
+                for (i = caret; i < value.length; i++) {
+                    if (this.isMaskChar($element, value.charAt(i))) {
+                        return i;
+                    }
+                }
+
+                return -1;
+            }
+
+            for (i = caret - 1; i >= 0; i--) {
+                if (this.isMaskChar($element, value.charAt(i))) {
+                    return i;
+                }
+            }
+
+            return -1;
+        },
+
+        /**
+         * Check whether a character is accepted by one of the field's mask tokens.
+         *
+         * @param {jQuery} $element The input element.
+         * @param {string} ch Character.
+         * @return {boolean} True for value characters, false for separators.
+         */
+        isMaskChar: function($element, ch) {
+            return $.grep(this.tokenizeMask(this.getMaskPattern($element), this.getMaskTranslation($element)), function(item) {
+                return item.token && item.token.pattern.test(ch);
+            }).length > 0;
+        },
+
+        /**
+         * Insert normalized clipboard text at the selection.
+         *
+         * @param {Event} event Native paste event.
+         */
+        handlePaste: function(event) {
+            var el = event.target;
+            var $el = $(el);
+            var clipboard = event.clipboardData || window.clipboardData;
+
+            if (!this.getMaskInstance($el) || !clipboard || $el.prop('readonly')) {
+                return;
+            }
+
+            var value = el.value;
+            var start = typeof el.selectionStart === 'number' ? el.selectionStart : value.length;
+            var end = typeof el.selectionEnd === 'number' ? el.selectionEnd : value.length;
+            var pasted = this.normalizePaste($el, clipboard.getData('text'));
+
+            event.preventDefault();
+            this.applyRawValue($el, value.slice(0, start) + pasted + value.slice(end), start + pasted.length);
+        },
+
+        /**
+         * Put an unmasked value into a field and let jQuery Mask format it like typed input.
+         *
+         * @param {jQuery} $element The input element.
+         * @param {string} raw Value to mask.
+         * @param {number} caret Caret position in the raw value.
+         */
+        applyRawValue: function($element, raw, caret) {
+            var el = $element.get(0);
+
+            // jQuery Mask ignores input after navigation keys; its own paste handler resets the key code the same way.
+            $element.trigger('keydown');
+            $element.removeData('mfhfBefore');
+            el.value = raw;
+            this.setCaret($element, caret);
+
+            if (typeof window.Event === 'function') {
+                el.dispatchEvent(new Event('input', { bubbles: true }));
+            } else {
+                $element.trigger('input');
+            }
+        },
+
+        /**
+         * Get the paste normalization of a field: defaults, settings.paste and the preset's paste config.
+         *
+         * @param {jQuery} $element The input element.
+         * @return {object} Config with transliterate, stripPrefix and filter.
+         */
+        getPasteConfig: function($element) {
+            var preset = this.getPreset($element.data('mfhfActivePreset') || '');
+
+            return $.extend({
+                transliterate: true,
+                stripPrefix: [],
+                filter: true
+            }, this.settings.paste || {}, preset && preset.paste ? preset.paste : {});
+        },
+
+        /**
+         * Normalize pasted text before it is masked.
+         *
+         * Converts full-width characters, strips a configured prefix such as a country
+         * code and keeps only the characters the mask's tokens accept. Number presets
+         * read the pasted amount with either separator instead.
+         *
+         * @param {jQuery|string} selector The input element.
+         * @param {string} text Pasted text.
+         * @return {string} Text to insert.
+         */
+        normalizePaste: function(selector, text) {
+            var $element = $(selector);
+            var config = this.getPasteConfig($element);
+            var format = $element.data('mfhfNumberFormat');
+            var value = String(text || '');
+            var prefixes = [].concat(config.stripPrefix || []).sort(function(a, b) {
+                return String(b).length - String(a).length;
+            });
+
+            if (config.transliterate) {
+                value = this.transliterate(value);
+            }
+
+            value = $.trim(value);
+
+            $.each(prefixes, function(index, prefix) {
+                if (prefix && value.indexOf(prefix) === 0) {
+                    value = $.trim(value.slice(String(prefix).length));
+                    return false;
+                }
+            });
+
+            if (format) {
+                return this.normalizeNumber(value, format);
+            }
+
+            if (config.filter) {
+                value = this.filterMaskChars(value, this.getMaskPattern($element), this.getMaskTranslation($element));
+            }
+
+            return value;
+        },
+
+        /**
+         * Apply masks that depend on another field and re-apply them when it changes.
+         */
+        setupDependentMasks: function() {
+            var self = this;
+
+            $('[data-mask-depends-on]').each(function() {
+                self.applyDependentMask($(this));
+            });
+
+            $(document).on('change.mfhf', 'input[name], select[name], textarea[name]', function() {
+                var name = $(this).attr('name');
+
+                self.getFieldScope($(this)).find('[data-mask-depends-on]').filter(function() {
+                    return $(this).attr('data-mask-depends-on') === name;
+                }).each(function() {
+                    self.applyDependentMask($(this));
+                });
+            });
+        },
+
+        /**
+         * Mask a field according to the current value of the field it depends on.
+         *
+         * data-mask-map maps values to preset names or mask patterns, "*" being the fallback:
+         * data-mask-depends-on="country" data-mask-map='{"PL": "postal-pl", "DE": "00000", "*": ""}'
+         *
+         * @param {jQuery} $element Dependent input element.
+         */
+        applyDependentMask: function($element) {
+            var map = this.getDependentMaskMap($element);
+            var value = this.getControllingValue($element);
+            var target = map.hasOwnProperty(value) ? map[value] : (map['*'] || '');
+
+            if ($element.data('mfhfDependentMask') === target && this.getMaskInstance($element)) {
+                return;
+            }
+
+            $element.data('mfhfDependentMask', target);
+            this.removeMask($element);
+
+            $element.removeData('mfhfValidator').removeData('mfhfActivePreset').removeData('mfhfNumberFormat').removeData('mfhfMaskPattern')
+                .removeData('mfhfMessages').removeData('mfhfError');
+            $element.removeAttr('data-mask').removeAttr('data-mask-preset');
+
+            if (target && this.getPreset(target.split('|')[0])) {
+                $element.attr('data-mask-preset', target);
+                this.applyPresetMask($element);
+            } else if (target) {
+                $element.attr('data-mask', target);
+                this.applyMask($element, target);
+            }
+
+            // Revalidate the kept value against the new mask.
+            if (!target || !$element.val()) {
+                this.clearInlineError($element);
+            } else {
+                this.updateFieldState($element);
+                this.handleInlineIncomplete($element);
+            }
+        },
+
+        /**
+         * Parse the value-to-mask map of a dependent field.
+         *
+         * @param {jQuery} $element Dependent input element.
+         * @return {object} Map of controlling values to preset names or mask patterns.
+         */
+        getDependentMaskMap: function($element) {
+            var map = null;
+
+            try {
+                map = JSON.parse($element.attr('data-mask-map') || '');
+            } catch (e) {
+                // Reported below.
+            }
+
+            if (!map || typeof map !== 'object') {
+                console.warn('Mask for HTML Forms: Invalid data-mask-map on "' + ($element.attr('name') || $element.attr('id') || '') + '"');
+                return {};
+            }
+
+            return map;
+        },
+
+        /**
+         * Get the value of the field named in data-mask-depends-on.
+         *
+         * @param {jQuery} $element Dependent input element.
+         * @return {string} Controlling value or empty string.
+         */
+        getControllingValue: function($element) {
+            var name = $element.attr('data-mask-depends-on');
+            var $control = this.getFieldScope($element).find('[name]').filter(function() {
+                return $(this).attr('name') === name;
+            });
+
+            if ($control.is(':radio, :checkbox')) {
+                $control = $control.filter(':checked');
+            }
+
+            return String($control.val() || '');
+        },
+
+        /**
+         * Get the form containing a field, or the document for fields outside a form.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {jQuery} Form or document.
+         */
+        getFieldScope: function($element) {
+            var $form = $element.closest('form');
+            return $form.length ? $form : $(document);
+        },
+
+        /**
+         * Extend jQuery Mask Plugin with custom translations.
+         */
+        extendTranslations: function() {
+            var self = this;
+            var translations = this.settings.translations || {};
+
+            // Add custom translations to global settings.
+            this.addTranslations();
+
+            // jQuery Mask applies data-mask attributes as soon as it loads, with its default
+            // tokens only. Remove those instances so $.applyDataMask() re-creates them.
+            $($.jMaskGlobals.maskElements).filter($.jMaskGlobals.dataMaskAttr).each(function() {
+                var instance = self.getMaskInstance($(this));
+                var outdated = false;
+
+                $.each(translations, function(char) {
+                    outdated = outdated || !!(instance && instance.translation && $.jMaskGlobals.translation[char] && !instance.translation[char]);
+                });
+
+                if (outdated) {
+                    $(this).unmask();
+                }
+            });
+        },
+
+        /**
+         * Setup watching for dynamically added and removed inputs.
+         *
+         * Each form container gets its own observer; the page observer only looks
+         * for containers coming and going. Mutations are handled once per animation frame.
+         */
+        setupDynamicMasks: function() {
+            var self = this;
+            var formSelector = this.settings.formSelector || '.hf-form';
+
+            if (!this.settings.watchDynamicInputs || typeof MutationObserver === 'undefined' || this.dynamic) {
+                return;
+            }
+
+            this.dynamic = { page: null, containers: [], queue: [], frame: null };
+
+            this.dynamic.page = new MutationObserver(function(mutations) {
+                $.each(mutations, function(index, mutation) {
+                    $.each($.merge($.makeArray(mutation.addedNodes), $.makeArray(mutation.removedNodes)), function(i, node) {
+                        if (node.nodeType === 1 && $(node).find(formSelector).addBack(formSelector).length) {
+                            self.queueDynamicNode(node);
+                        }
+                    });
+                });
+            });
+
+            this.dynamic.page.observe(document.body, {
+                childList: true,
+                subtree: true
+            });
+
+            $(formSelector).each(function() {
+                self.observeContainer(this);
+            });
+        },
+
+        /**
+         * Watch a form container for added and removed fields.
+         *
+         * @param {Element} container Form container.
+         */
+        observeContainer: function(container) {
+            var self = this;
+            var registered = $.grep(this.dynamic.containers, function(entry) {
+                return entry.container === container;
+            });
+
+            if (registered.length) {
+                return;
+            }
+
+            var observer = new MutationObserver(function(mutations) {
+                $.each(mutations, function(index, mutation) {
+                    $.each($.merge($.makeArray(mutation.addedNodes), $.makeArray(mutation.removedNodes)), function(i, node) {
+                        if (node.nodeType === 1) {
+                            self.queueDynamicNode(node);
+                        }
+                    });
+                });
+            });
+
+            observer.observe(container, {
+                childList: true,
+                subtree: true
+            });
+
+            this.dynamic.containers.push({ container: container, observer: observer });
+        },
+
+        /**
+         * Queue an added or removed node for the next animation frame.
+         *
+         * @param {Element} node Mutated node.
+         */
+        queueDynamicNode: function(node) {
+            var self = this;
+            var dynamic = this.dynamic;
+
+            if ($.inArray(node, dynamic.queue) === -1) {
+                dynamic.queue.push(node);
+            }
+
+            if (dynamic.frame === null) {
+                dynamic.frame = this.nextFrame(function() {
+                    self.flushDynamicNodes();
+                });
+            }
+        },
+
+        /**
+         * Mask the queued nodes still in the page, tear down the ones that left it
+         * and keep one observer per form container.
+         *
+         * A node moved within the page is both removed and added; only its final place counts.
+         */
+        flushDynamicNodes: function() {
+            var self = this;
+            var dynamic = this.dynamic;
+            var nodes = dynamic.queue;
+            var formSelector = this.settings.formSelector || '.hf-form';
+            var fieldSelector = '[data-mask-preset], [data-mask], [data-mask-depends-on]';
+
+            dynamic.queue = [];
+            dynamic.frame = null;
+
+            dynamic.containers = $.grep(dynamic.containers, function(entry) {
+                if ($.contains(document.documentElement, entry.container)) {
+                    return true;
+                }
+
+                entry.observer.disconnect();
+                return false;
+            });
+
+            $(formSelector).each(function() {
+                self.observeContainer(this);
+            });
+
+            $.each(nodes, function(index, node) {
+                if (!$.contains(document.documentElement, node)) {
+                    self.teardownNodes([node]);
+                    return;
+                }
+
+                // Leave forms passed to destroy(container) alone until they are refreshed.
+                self.applyMasksToNewNodes($(node).find(fieldSelector).addBack(fieldSelector).filter(function() {
+                    return !$(this).closest(formSelector).data('mfhfDestroyed');
+                }).get());
+            });
+        },
+
+        /**
+         * Disconnect the dynamic input observers and drop pending mutations.
+         */
+        stopDynamicMasks: function() {
+            var dynamic = this.dynamic;
+            var cancel = window.cancelAnimationFrame || clearTimeout;
+
+            if (!dynamic) {
+                return;
+            }
+
+            if (dynamic.frame !== null) {
+                cancel(dynamic.frame);
+            }
+
+            dynamic.page.disconnect();
+
+            $.each(dynamic.containers, function(index, entry) {
+                entry.observer.disconnect();
+            });
+
+            this.dynamic = null;
+        },
+
+        /**
+         * Unmask and clean up the fields inside removed nodes.
+         *
+         * @param {Array|NodeList} nodes Removed nodes.
+         */
+        teardownNodes: function(nodes) {
+            var self = this;
+
+            $(nodes).find('input, textarea').addBack('input, textarea').each(function() {
+                self.teardownField($(this));
+            });
+        },
+
+        /**
+         * Remove a field's mask, inline error, summary entry, handlers and data.
+         *
+         * The field keeps the value it shows; jQuery Mask's unmask() would leave the clean value.
+         *
+         * @param {jQuery} $element Field element.
+         */
+        teardownField: function($element) {
+            var id = $element.attr('id');
+            var value = $element.val();
+
+            this.removeMask($element);
+            $element.val(value);
+            this.clearInlineError($element);
+
+            // A detached field is no longer inside its form, so look for its summary entry everywhere.
+            if (id) {
+                $('.mfhf-error-summary li').filter(function() {
+                    return $(this).attr('data-mfhf-field') === id;
+                }).remove();
+
+                $('.mfhf-error-summary').filter(function() {
+                    return !$(this).find('li').length;
+                }).remove();
+            }
+
+            $element.off('.mfhfSwitch');
+
+            // $.data() lists the stored keys without caching data-* attributes like .data() does.
+            $.each($.extend({}, $.data($element[0])), function(key) {
+                if (key.indexOf('mfhf') === 0) {
+                    $element.removeData(key);
+                }
+            });
+        },
+
+        /**
+         * Mask the fields of a container loaded by AJAX, in a popup or in a page-builder preview.
+         *
+         * Fields masked before keep their mask unless their mask attributes changed.
+         * Starts the plugin first when init() has not run.
+         *
+         * @param {jQuery|Element|string} [container] Container or field, defaults to the document.
+         */
+        refresh: function(container) {
+            var self = this;
+            var formSelector = this.settings.formSelector || '.hf-form';
+            var $container = $(container || document);
+
+            if (!this.initialized) {
+                this.init();
+                return;
+            }
+
+            $container.find(formSelector).addBack(formSelector).removeData('mfhfDestroyed').each(function() {
+                if (self.dynamic) {
+                    self.observeContainer(this);
+                }
+            });
+
+            this.applyMasksToNewNodes($container.get());
+        },
+
+        /**
+         * Get the mask instance of a field.
+         *
+         * @param {jQuery|Element|string} el Field element or selector.
+         * @return {object|null} jQuery Mask instance, or null when the field is not masked.
+         */
+        getInstance: function(el) {
+            return this.getMaskInstance($(el).first());
+        },
+
+        /**
+         * Unmask the fields of a container, or undo init() when called without one.
+         *
+         * Forms inside the container are not masked again by the dynamic input
+         * observer until refresh() is called for them. Without a container the
+         * observers and listeners are removed as well; call init() to start again.
+         * Safe to call more than once.
+         *
+         * @param {jQuery|Element|string} [container] Container or field.
+         */
+        destroy: function(container) {
+            var self = this;
+            var formSelector = this.settings.formSelector || '.hf-form';
+
+            if (container) {
+                $(container).find(formSelector).addBack(formSelector).data('mfhfDestroyed', true);
+                this.teardownNodes($(container).get());
+                return;
+            }
+
+            this.stopDynamicMasks();
+
+            $.each(this.listeners, function(index, listener) {
+                listener.target.removeEventListener(listener.type, listener.handler, listener.capture);
+            });
+
+            this.listeners = [];
+            $(document).off('.mfhf');
+
+            $('input, textarea').each(function() {
+                var $field = $(this);
+
+                if (self.getMaskInstance($field) || $field.data('mfhfErrorEl') || $field.data('mfhfState') !== undefined) {
+                    self.teardownField($field);
+                }
+            });
+
+            $('.mfhf-error-summary').remove();
+            $(formSelector).removeData('mfhfDestroyed');
+            this.initialized = false;
+        },
+
+        /**
+         * Apply masks to newly added DOM nodes.
+         *
+         * @param {NodeList} nodes Added nodes.
+         */
+        applyMasksToNewNodes: function(nodes) {
+            var self = this;
+
+            $(nodes).each(function() {
+                var $node = $(this);
+
+                // Check if the node itself has a mask.
+                if ($node.is('[data-mask-preset]')) {
+                    self.applyPresetMask($node);
+                } else if ($node.is('[data-mask]')) {
+                    $.applyDataMask($node);
+                }
+
+                // Check children.
+                $node.find('[data-mask-preset]').each(function() {
+                    self.applyPresetMask($(this));
+                });
+
+                $node.find('[data-mask]').each(function() {
+                    $.applyDataMask($(this));
+                });
+
+                $node.find('[data-mask-depends-on]').addBack('[data-mask-depends-on]').each(function() {
+                    self.applyDependentMask($(this));
+                });
+            });
+        },
+
+        /**
+         * Setup form event handlers.
+         */
+        setupFormEvents: function() {
+            var self = this;
+            var formSelector = this.settings.formSelector || '.hf-form';
+
+            // Check masked fields before HTML Forms sends the form, for the error summary and for
+            // blocking. Registered first so the submit value swap below does not run for blocked submits.
+            this.listen(document, 'submit', function(event) {
+                var $form = $(event.target);
+
+                if (!$form.is(formSelector) || (!self.settings.blockInvalidSubmit && !self.shouldShowErrorSummary($form))) {
+                    return;
+                }
+
+                if (!self.guardSubmit($form) && self.settings.blockInvalidSubmit) {
+                    event.preventDefault();
+                    event.stopImmediatePropagation();
+                }
+            }, true);
+
+            // Swap in submit values before HTML Forms serializes the form (it listens on document).
+            // A native submit leaves the page, so the submit values stay in place.
+            this.listen(document, 'submit', function(event) {
+                if ($(event.target).is(formSelector)) {
+                    self.rememberKeptValues($(event.target));
+                    self.prepareSubmitValues($(event.target));
+                }
+            }, true);
+
+            // HTML Forms sends the form with AJAX; restore the display values once it has a response.
+            // Its hf-* events do not bubble, so listen while capturing.
+            this.listen(document, 'hf-submitted', function(event) {
+                if ($(event.target).is(formSelector)) {
+                    self.restoreSubmitValues($(event.target));
+                }
+            }, true);
+
+            // Summary links move focus to the field, not just scroll to it.
+            $(document).on('click.mfhf', '.mfhf-error-summary a', function(event) {
+                var $field = $(document.getElementById($(this).attr('href').slice(1)));
+
+                if ($field.length) {
+                    event.preventDefault();
+                    $field.trigger('focus');
+                }
+            });
+
+            // Hook into HTML Forms events if available; they cannot be unbound, so bind once.
+            if (typeof html_forms !== 'undefined' && !this.htmlFormsBound) {
+                this.htmlFormsBound = true;
+
+                // Restore the form after a successful submission, whether or not HTML Forms resets it.
+                html_forms.on('success', function(form) {
+                    if (self.initialized) {
+                        self.scheduleFormRestore($(form), true);
+                    }
+                });
+            }
+
+            // The reset event fires before the browser resets the values.
+            $(document).on('reset.mfhf', formSelector, function() {
+                self.scheduleFormRestore($(this), false);
+            });
+        },
+
+        /**
+         * Restore a form in the next animation frame, once a reset has finished.
+         *
+         * A successful submit may reset the form before or after HTML Forms triggers
+         * success, so both schedule the same restore.
+         *
+         * @param {jQuery} $form Form element.
+         * @param {boolean} succeeded True after a successful HTML Forms submit.
+         */
+        scheduleFormRestore: function($form, succeeded) {
+            var self = this;
+
+            if (succeeded) {
+                $form.data('mfhfSucceeded', true);
+            }
+
+            if ($form.data('mfhfRestorePending')) {
+                return;
+            }
+
+            $form.data('mfhfRestorePending', true);
+
+            this.nextFrame(function() {
+                $form.removeData('mfhfRestorePending');
+                self.restoreForm($form);
+            });
+        },
+
+        /**
+         * Remove errors and reapply every mask of a form, as on page load.
+         *
+         * After a successful submit, fields marked with data-mask-keep or matching
+         * the keepOnSuccess selector get back the value they were submitted with.
+         *
+         * @param {jQuery} $form Form element.
+         */
+        restoreForm: function($form) {
+            var kept = $form.data('mfhfSucceeded') ? $form.data('mfhfKeptValues') || [] : [];
+
+            $form.removeData('mfhfSucceeded mfhfKeptValues');
+
+            if (!this.initialized || $form.data('mfhfDestroyed')) {
+                return;
+            }
+
+            this.teardownNodes($form.get());
+
+            $.each(kept, function(index, entry) {
+                if (entry.$input.is(':checkbox, :radio')) {
+                    entry.$input.prop('checked', entry.checked);
+                } else {
+                    entry.$input.val(entry.value);
+                }
+            });
+
+            $form.find('.mfhf-error-summary').remove();
+            this.applyMasksToNewNodes($form.get());
+        },
+
+        /**
+         * Remember the values of fields that stay filled after a successful submit.
+         *
+         * @param {jQuery} $form Form being submitted.
+         */
+        rememberKeptValues: function($form) {
+            var self = this;
+            var selector = '[data-mask-keep]';
+            var kept = [];
+
+            if (this.settings.keepOnSuccess) {
+                selector += ', ' + this.settings.keepOnSuccess;
+            }
+
+            $form.find(selector).filter(':input').each(function() {
+                var $input = $(this);
+
+                if ($input.is('[data-mask-keep]') && !self.parseBoolean($input.attr('data-mask-keep'), true)) {
+                    return;
+                }
+
+                kept.push({ $input: $input, value: $input.val(), checked: $input.prop('checked') });
             });
+
+            $form.data('mfhfKeptValues', kept);
         },
 
         /**
-         * Safely retrieve a localized message with an optional fallback.
+         * Check every masked field of a form and render their errors and the error summary.
          *
-         * @param {string} key Message key.
-         * @param {string} fallback Fallback text.
-         * @return {string} Message text.
+         * The first invalid field is focused only when the submit is blocked.
+         *
+         * @param {jQuery} $form Form being submitted.
+         * @return {boolean} True when every masked field is valid.
          */
-        getMessage: function(key, fallback) {
-            var messages = this.settings.messages || {};
+        guardSubmit: function($form) {
+            var result = this.validateForm($form);
 
-            if (messages[key]) {
-                return messages[key];
+            if (this.shouldShowErrorSummary($form)) {
+                this.renderErrorSummary($form, $.map(result.errors, function(error) {
+                    return { $element: $(error.element), message: error.message };
+                }));
             }
 
-            return fallback || '';
-        },
+            if (!result.valid && this.settings.blockInvalidSubmit) {
+                $(result.errors[0].element).trigger('focus');
+            }
 
-        /**
-         * Initialize the mask functionality.
-         */
-        init: function() {
-            this.installInlineErrorSupport();
-            this.applyMasks();
-            this.setupDynamicMasks();
-            this.setupFormEvents();
-            this.setupBlurCheck();
-            this.setupInvalidHandler();
-            this.setupLiveValidation();
+            return result.valid;
         },
 
         /**
-         * Apply masks to all matching inputs.
+         * Replace masked values with clean ones, or add <name>_raw fields, according to the submit format.
+         *
+         * @param {jQuery} $form Form being submitted.
          */
-        applyMasks: function() {
+        prepareSubmitValues: function($form) {
             var self = this;
+            var restore = [];
 
-            // Apply preset masks first.
-            $('[data-mask-preset]').each(function() {
-                self.applyPresetMask($(this));
-            });
+            // Restore first in case a previous submit was interrupted.
+            this.restoreSubmitValues($form);
 
-            // Apply data-mask attributes (handled by jQuery Mask Plugin automatically).
-            // We just need to ensure custom translations are available.
-            this.extendTranslations();
+            $form.find('[data-mask], [data-mask-preset]').each(function() {
+                var $input = $(this);
+                var name = $input.attr('name');
+                var format = self.getSubmitFormat($input);
 
-            // Trigger jQuery Mask Plugin's data-mask detection.
-            $.applyDataMask();
+                if (!name || $input.prop('disabled') || !self.getMaskInstance($input) || format === 'masked') {
+                    return;
+                }
+
+                var clean = self.getCleanValue($input);
+
+                if (format === 'clean') {
+                    restore.push({ $input: $input, value: $input.val() });
+                    $input.val(clean);
+                    return;
+                }
+
+                var $raw = $('<input/>', {
+                    type: 'hidden',
+                    name: self.getRawFieldName(name),
+                    value: clean
+                });
+
+                $input.after($raw);
+                restore.push({ $raw: $raw });
+            });
+
+            $form.data('mfhfSubmitRestore', restore);
         },
 
         /**
-         * Apply a preset mask to an element.
+         * Restore display values after HTML Forms has sent the form.
          *
-         * @param {jQuery} $element The input element.
+         * @param {jQuery} $form Submitted form.
          */
-        applyPresetMask: function($element) {
-            var presetName = $element.attr('data-mask-preset');
-            var presets = this.settings.presets || {};
+        restoreSubmitValues: function($form) {
+            var restore = $form.data('mfhfSubmitRestore');
 
-            if (!presets[presetName]) {
-                console.warn('Mask for HTML Forms: Unknown preset "' + presetName + '"');
+            if (!restore) {
                 return;
             }
 
-            var preset = presets[presetName];
-            var options = $.extend({}, preset.options || {});
+            $.each(restore, function(index, item) {
+                if (item.$raw) {
+                    item.$raw.remove();
+                } else {
+                    item.$input.val(item.value);
+                }
+            });
 
-            // Apply the mask.
-            $element.mask(preset.mask, options);
+            $form.removeData('mfhfSubmitRestore');
         },
 
         /**
-         * Extend jQuery Mask Plugin with custom translations.
+         * Get submit format for a field: clean, masked or both.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {string} Submit format.
          */
-        extendTranslations: function() {
-            var translations = this.settings.translations || {};
+        getSubmitFormat: function($element) {
+            var formats = ['clean', 'masked', 'both'];
+            var format = $element.attr('data-mask-submit');
 
-            // Add custom translations to global settings.
-            $.each(translations, function(char, config) {
-                if (config.pattern) {
-                    $.jMaskGlobals.translation[char] = {
-                        pattern: new RegExp(config.pattern),
-                        optional: config.optional || false,
-                        recursive: config.recursive || false
-                    };
-                }
-            });
+            if (formats.indexOf(format) !== -1) {
+                return format;
+            }
+
+            return formats.indexOf(this.settings.submitFormat) !== -1 ? this.settings.submitFormat : 'masked';
         },
 
         /**
-         * Setup watching for dynamically added inputs.
+         * Get the jQuery Mask instance of an element.
+         *
+         * $.fn.data('mask') falls back to the data-mask attribute, so check for an object.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {object|null} Mask instance or null when unmasked.
          */
-        setupDynamicMasks: function() {
-            if (!this.settings.watchDynamicInputs) {
-                return;
-            }
-
-            var self = this;
+        getMaskInstance: function($element) {
+            var instance = $element.data('mask');
+            return instance && typeof instance === 'object' ? instance : null;
+        },
 
-            // Use MutationObserver to watch for new inputs.
-            if (typeof MutationObserver !== 'undefined') {
-                var observer = new MutationObserver(function(mutations) {
-                    mutations.forEach(function(mutation) {
-                        if (mutation.addedNodes.length) {
-                            self.applyMasksToNewNodes(mutation.addedNodes);
-                        }
-                    });
-                });
+        /**
+         * Mask a value with the mask of an element.
+         *
+         * @param {jQuery} $element Masked element.
+         * @param {string} value Value to mask.
+         * @return {string} Masked value.
+         */
+        getMaskedValue: function($element, value) {
+            return $element.masked(String(value));
+        },
 
-                // Observe the document body for added nodes.
-                observer.observe(document.body, {
-                    childList: true,
-                    subtree: true
-                });
-            }
+        /**
+         * Read a value the plugin stored on a field, such as mfhfNumberFormat.
+         *
+         * @param {jQuery|Element} field Target field.
+         * @param {string} key Data key.
+         * @return {*} Stored value.
+         */
+        getFieldData: function(field, key) {
+            return $(field).data(key);
         },
 
         /**
-         * Apply masks to newly added DOM nodes.
+         * Get the clean (unmasked) value of an input.
          *
-         * @param {NodeList} nodes Added nodes.
+         * @param {jQuery|string} selector Input element or selector.
+         * @return {string} Clean value without mask characters (dot-decimal for number presets, E.164 for phone presets).
          */
-        applyMasksToNewNodes: function(nodes) {
-            var self = this;
+        getCleanValue: function(selector) {
+            var $element = $(selector);
+            var format = $element.data('mfhfNumberFormat');
 
-            $(nodes).each(function() {
-                var $node = $(this);
+            // Number presets return a dot-decimal string such as "-1234.56".
+            if (format) {
+                var number = this.getNumericValue($element);
+                return isNaN(number) ? '' : number.toFixed(format.precision);
+            }
 
-                // Check if the node itself has a mask.
-                if ($node.is('[data-mask-preset]')) {
-                    self.applyPresetMask($node);
-                } else if ($node.is('[data-mask]')) {
-                    $.applyDataMask($node);
-                }
+            if (this.getMaskInstance($element) && $element.data('mfhfPhoneCountries')) {
+                return this.getPhoneNumber($element);
+            }
 
-                // Check children.
-                $node.find('[data-mask-preset]').each(function() {
-                    self.applyPresetMask($(this));
-                });
+            if (this.getMaskInstance($element)) {
+                return $element.cleanVal();
+            }
 
-                $node.find('[data-mask]').each(function() {
-                    $.applyDataMask($(this));
-                });
-            });
+            return $element.val();
         },
 
         /**
-         * Setup form event handlers.
+         * Validate a masked field: required, completeness and validator checks.
+         *
+         * @param {jQuery|string|Element} selector Input element or selector.
+         * @param {object} options Optional settings: {render: false} keeps inline errors untouched.
+         * @return {{valid: boolean, code: string, message: string, cleanValue: string, maskedValue: string, element: Element}} Result.
          */
-        setupFormEvents: function() {
-            var formSelector = this.settings.formSelector || '.hf-form';
+        validateField: function(selector, options) {
+            var $element = $(selector).first();
+            var error = $element.length ? this.getFieldError($element) : null;
+            var result = {
+                valid: !error,
+                code: error ? error.code : '',
+                message: error ? (error.message || this.getMessage('invalidGeneric', 'Invalid value for this field', $element)) : '',
+                cleanValue: $element.length ? this.getCleanValue($element) : '',
+                maskedValue: $element.length ? $element.val() : '',
+                element: $element[0] || null
+            };
 
-            // Hook into HTML Forms events if available.
-            if (typeof html_forms !== 'undefined') {
-                // Re-apply masks after form submission (in case form is reset).
-                html_forms.on('success', function(form) {
-                    setTimeout(function() {
-                        $.applyDataMask($(form));
-                    }, 100);
-                });
+            if ((options || {}).render === false || !$element.length) {
+                return result;
             }
 
-            // Handle form reset.
-            $(document).on('reset', formSelector, function() {
-                var $form = $(this);
-
-                // Re-apply masks after reset.
-                setTimeout(function() {
-                    $form.find('[data-mask], [data-mask-preset]').each(function() {
-                        var $input = $(this);
-                        var mask = $input.data('mask');
-
-                        if (mask && typeof mask.remove === 'function') {
-                            mask.remove();
-                        }
-                    });
+            if (result.valid) {
+                this.clearInlineError($element);
+            } else {
+                this.ensureErrorStyles();
+                this.renderInlineError($element, result.message);
+            }
 
-                    $.applyDataMask($form);
-                }, 10);
-            });
+            return result;
         },
 
         /**
-         * Get the clean (unmasked) value of an input.
+         * Validate every enabled masked field inside a form or any container (e.g. a wizard step).
          *
-         * @param {jQuery|string} selector Input element or selector.
-         * @return {string} Clean value without mask characters.
+         * @param {jQuery|string|Element} selector Form or container element or selector.
+         * @param {object} options Optional settings passed to validateField().
+         * @return {{valid: boolean, fields: Array, errors: Array}} Results of all fields and of the invalid ones.
          */
-        getCleanValue: function(selector) {
-            var $element = $(selector);
+        validateForm: function(selector, options) {
+            var self = this;
+            var fields = [];
 
-            if ($element.length && typeof $element.cleanVal === 'function') {
-                return $element.cleanVal();
-            }
+            $(selector).find('[data-mask], [data-mask-preset]').each(function() {
+                if (!$(this).prop('disabled')) {
+                    fields.push(self.validateField(this, options));
+                }
+            });
 
-            return $element.val();
+            var errors = $.grep(fields, function(field) {
+                return !field.valid;
+            });
+
+            return { valid: !errors.length, fields: fields, errors: errors };
         },
 
         /**
@@ -259,10 +1801,44 @@
         /**
          * Remove mask from an element.
          *
+         * Also clears .data('mask'): jQuery caches the data-mask attribute under
+         * that key, and jQuery Mask would take the cached string for its instance
+         * once the attribute changes.
+         *
          * @param {jQuery|string} selector Element or selector.
          */
         removeMask: function(selector) {
-            $(selector).unmask();
+            var self = this;
+
+            $(selector).each(function() {
+                var $element = $(this);
+
+                if (self.getMaskInstance($element)) {
+                    $element.unmask();
+                }
+
+                $element.removeData('mask');
+            });
+        },
+
+        /**
+         * Pass the detail of mfhf:* events to jQuery handlers as their second argument.
+         *
+         * emit() dispatches DOM events only; jQuery handlers get them through
+         * jQuery's own listeners, with the detail in event.originalEvent.detail.
+         */
+        installEventDetailSupport: function() {
+            var types = ['applied', 'complete', 'incomplete', 'invalid', 'error-shown', 'error-cleared', 'removed', 'card-brand', 'phone-country'];
+
+            $.each(types, function(index, name) {
+                $.event.special['mfhf:' + name] = {
+                    handle: function(event) {
+                        var detail = arguments.length > 1 ? arguments[1] : event.originalEvent && event.originalEvent.detail;
+
+                        return event.handleObj.handler.call(this, event, detail);
+                    }
+                };
+            });
         },
 
         /**
@@ -280,17 +1856,162 @@
                 var $targets = $(this);
                 var opts = self.withInlineErrorCallbacks($targets, options);
 
-                // Store mask pattern for completeness checks.
+                if (typeof mask === 'function') {
+                    opts = self.withDynamicMask(mask, options, opts);
+                }
+
+                // Store mask pattern for completeness checks (resolved for function masks).
+                $targets.each(function() {
+                    var $target = $(this);
+                    $target.data('mfhfMaskPattern', typeof mask === 'function' ? mask($target.val(), undefined, $target, opts) : mask);
+                });
+
+                var result = originalMask.call(this, mask, opts);
+
                 $targets.each(function() {
-                    $(this).data('mfhfMaskPattern', mask);
+                    self.notifyApplied($(this));
                 });
 
-                return originalMask.call(this, mask, opts);
+                return result;
+            };
+
+            // Masks from data-mask attributes are created without $.fn.mask.
+            var originalApplyDataMask = $.applyDataMask;
+
+            $.applyDataMask = function(selector) {
+                var result = originalApplyDataMask.apply(this, arguments);
+                var scope = selector || $.jMaskGlobals.maskElements;
+
+                (scope instanceof $ ? scope : $(scope)).filter($.jMaskGlobals.dataMaskAttr).each(function() {
+                    self.notifyApplied($(this));
+                });
+
+                return result;
+            };
+
+            var originalUnmask = $.fn.unmask;
+
+            $.fn.unmask = function() {
+                var $masked = $(this).filter(function() {
+                    return !!self.getMaskInstance($(this));
+                });
+                var result = originalUnmask.apply(this, arguments);
+
+                $masked.each(function() {
+                    var $target = $(this);
+                    $target.removeData('mfhfAppliedMask').removeData('mfhfState');
+                    self.emit($target, 'removed');
+                });
+
+                return result;
             };
 
             this.maskWrapped = true;
         },
 
+        /**
+         * Emit mfhf:applied once per jQuery Mask instance.
+         *
+         * @param {jQuery} $element Target element.
+         */
+        notifyApplied: function($element) {
+            var instance = this.getMaskInstance($element);
+
+            if (!instance || $element.data('mfhfAppliedMask') === instance) {
+                return;
+            }
+
+            $element.data('mfhfAppliedMask', instance);
+            $element.removeData('mfhfState');
+            this.emit($element, 'applied');
+        },
+
+        /**
+         * Emit a lifecycle event as a bubbling DOM CustomEvent named "mfhf:<name>".
+         *
+         * DOM listeners read the detail from event.detail; jQuery handlers also
+         * receive it as second argument (see installEventDetailSupport()).
+         * Browsers without CustomEvent get a jQuery event only.
+         *
+         * @param {jQuery} $element Target element.
+         * @param {string} name Event name without prefix, e.g. "complete".
+         * @param {object} [extra] Additional detail properties.
+         */
+        emit: function($element, name, extra) {
+            var el = $element.get(0);
+            var type = 'mfhf:' + name;
+
+            if (!el) {
+                return;
+            }
+
+            var detail = $.extend({
+                mask: this.getMaskPattern($element),
+                value: $element.val(),
+                cleanValue: this.getCleanValue($element),
+                completeness: this.getCompletenessInfo($element)
+            }, extra);
+
+            if (typeof window.CustomEvent === 'function') {
+                el.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: detail }));
+            } else {
+                $element.trigger(type, [detail]);
+            }
+        },
+
+        /**
+         * Emit complete, incomplete or invalid when the field state changes.
+         *
+         * @param {jQuery} $element Target element.
+         */
+        updateFieldState: function($element) {
+            var error = null;
+            var state = '';
+
+            if (this.getCleanValue($element)) {
+                error = this.getFieldError($element);
+                state = error ? (error.code === 'incomplete' ? 'incomplete' : 'invalid') : 'complete';
+            }
+
+            if ($element.data('mfhfState') === state) {
+                return;
+            }
+
+            $element.data('mfhfState', state);
+
+            if (state) {
+                this.emit($element, state, error ? { error: error } : {});
+            }
+        },
+
+        /**
+         * Re-resolve a function mask on every keystroke.
+         *
+         * jQuery Mask only evaluates function masks when applied, so the field is
+         * re-masked with the original options; it is rebuilt only when the
+         * resolved pattern changes.
+         *
+         * @param {Function} mask Mask resolver.
+         * @param {object} options Options as passed by the caller.
+         * @param {object} opts Options with wrapped callbacks.
+         * @return {object} Options with re-masking on key press.
+         */
+        withDynamicMask: function(mask, options, opts) {
+            var wrappedKeyPress = opts.onKeyPress;
+
+            opts.onKeyPress = function(val, e, f) {
+                var $field = $(f);
+
+                if (mask(val, e, $field, options) !== $field.data('mfhfMaskPattern')) {
+                    $field.mask(mask, options);
+                }
+
+                wrappedKeyPress.apply(this, arguments);
+            };
+
+            return opts;
+        },
+
         /**
          * Extend mask callbacks with inline error rendering.
          *
@@ -308,23 +2029,25 @@
             var originalChange = opts.onChange;
 
             opts.onInvalid = function(val, e, f, invalid, mask) {
-                self.handleInlineInvalid($(this), invalid);
+                self.handleInlineInvalid($(f), invalid);
+                self.emit($(f), 'invalid', { invalid: invalid });
 
                 if (typeof originalInvalid === 'function') {
                     originalInvalid.call(this, val, e, f, invalid, mask);
                 }
             };
 
-            opts.onComplete = function() {
-                self.clearInlineError($(this));
+            // jQuery Mask passes the field as the third callback argument.
+            opts.onComplete = function(val, e, f) {
+                self.handleInlineComplete($(f));
 
                 if (typeof originalComplete === 'function') {
                     originalComplete.apply(this, arguments);
                 }
             };
 
-            opts.onKeyPress = function() {
-                var $el = $(this);
+            opts.onKeyPress = function(val, e, f) {
+                var $el = $(f);
                 self.maybeClearInlineError($el);
                 self.handleInlineIncomplete($el);
 
@@ -333,8 +2056,8 @@
                 }
             };
 
-            opts.onChange = function() {
-                var $el = $(this);
+            opts.onChange = function(val, e, f) {
+                var $el = $(f);
                 self.maybeClearInlineError($el);
                 self.handleInlineIncomplete($el);
 
@@ -354,8 +2077,14 @@
             var baseSelector = this.settings.inputSelector || '[data-mask]';
             var selector = baseSelector + ', [data-mask-preset], [data-mask-error], [data-mask-show-error]';
 
-            $(document).on('blur', selector, function() {
-                self.handleInlineIncomplete($(this));
+            $(document).on('blur.mfhf', selector, function() {
+                var $el = $(this);
+
+                self.handleInlineIncomplete($el);
+
+                if (self.getMaskInstance($el)) {
+                    self.updateFieldState($el);
+                }
             });
         },
 
@@ -367,11 +2096,12 @@
             var baseSelector = this.settings.inputSelector || '[data-mask]';
             var selector = baseSelector + ', [data-mask-preset], [data-mask-error], [data-mask-show-error]';
 
-            $(document).on('input', selector, function() {
+            $(document).on('input.mfhf', selector, function() {
                 var $el = $(this);
 
                 if ($el.is('[data-mask], [data-mask-preset]')) {
                     self.handleInlineIncomplete($el);
+                    self.updateFieldState($el);
                 } else {
                     self.handleGenericLive($el);
                 }
@@ -384,7 +2114,7 @@
         setupInvalidHandler: function() {
             var self = this;
 
-            document.addEventListener('invalid', function(event) {
+            this.listen(document, 'invalid', function(event) {
                 var target = event.target;
 
                 if (!target || !target.getAttribute) {
@@ -407,6 +2137,7 @@
                 // For masked fields this will show completeness/required; for others we fall back to generic invalid.
                 if ($el.is('[data-mask], [data-mask-preset]')) {
                     self.handleInlineIncomplete($el);
+                    self.updateFieldState($el);
                 } else {
                     self.handleGenericInvalid($el);
                 }
@@ -452,7 +2183,7 @@
             }
 
             if (!this.isIncomplete($element)) {
-                this.clearInlineError($element);
+                this.handleInlineComplete($element);
                 return;
             }
 
@@ -468,48 +2199,36 @@
         },
 
         /**
-         * Decide whether to show inline errors for an element.
+         * Check length overflow and run the field validator once the mask is complete.
          *
          * @param {jQuery} $element Target element.
-         * @return {boolean} True when inline errors should render.
          */
-        shouldShowInlineErrors: function($element) {
-            var attr = $element.attr('data-mask-show-error');
+        handleInlineComplete: function($element) {
+            var message = this.isTooLong($element) ? this.getTooLongMessage($element) : this.getValidationMessage($element);
 
-            if (typeof attr !== 'undefined') {
-                return this.parseBoolean(attr, true);
+            if (!message || !this.shouldShowInlineErrors($element)) {
+                this.clearInlineError($element);
+                return;
             }
 
-            return !!this.settings.showInlineErrors;
+            this.ensureErrorStyles();
+            this.renderInlineError($element, message);
         },
 
         /**
-         * Convert common truthy/falsey strings to boolean.
+         * Decide whether to show inline errors for an element.
          *
-         * @param {string|boolean} value Input value.
-         * @param {boolean} defaultValue Fallback when value is empty.
-         * @return {boolean} Parsed boolean.
+         * @param {jQuery} $element Target element.
+         * @return {boolean} True when inline errors should render.
          */
-        parseBoolean: function(value, defaultValue) {
-            if (value === undefined || value === null || value === '') {
-                return defaultValue;
-            }
-
-            if (typeof value === 'boolean') {
-                return value;
-            }
-
-            var normalized = String(value).toLowerCase();
-
-            if (normalized === 'false' || normalized === '0' || normalized === 'no') {
-                return false;
-            }
+        shouldShowInlineErrors: function($element) {
+            var attr = $element.attr('data-mask-show-error');
 
-            if (normalized === 'true' || normalized === '1' || normalized === 'yes') {
-                return true;
+            if (typeof attr !== 'undefined') {
+                return this.parseBoolean(attr, true);
             }
 
-            return defaultValue;
+            return !!this.settings.showInlineErrors;
         },
 
         /**
@@ -520,7 +2239,7 @@
          * @return {string} Message text.
          */
         getInlineErrorMessage: function($element, invalid) {
-            var customMessage = $element.attr('data-mask-error');
+            var customMessage = this.getCustomError($element);
 
             if (customMessage) {
                 return customMessage;
@@ -533,13 +2252,13 @@
                 var expected = first.e || 'pattern';
 
                 if (position) {
-                    return this.formatMessage(this.getMessage('invalidValueWithPos', 'Invalid value "%1$s" at position %2$s (expected %3$s)'), [value, position, expected]);
+                    return this.formatMessage(this.getMessage('invalidValueWithPos', 'Invalid value "%1$s" at position %2$s (expected %3$s)', $element), [value, position, expected]);
                 }
 
-                return this.formatMessage(this.getMessage('invalidValue', 'Invalid value "%1$s" (expected %2$s)'), [value, expected]);
+                return this.formatMessage(this.getMessage('invalidValue', 'Invalid value "%1$s" (expected %2$s)', $element), [value, expected]);
             }
 
-            return this.getMessage('invalidGeneric', 'Invalid value for this field');
+            return this.getMessage('invalidGeneric', 'Invalid value for this field', $element);
         },
 
         /**
@@ -551,7 +2270,7 @@
          * @return {string} Message text.
          */
         getIncompleteMessage: function($element, required, current) {
-            var customMessage = $element.attr('data-mask-error');
+            var customMessage = this.getCustomError($element);
             if (customMessage) {
                 return customMessage;
             }
@@ -562,7 +2281,112 @@
                 return '';
             }
 
-            return this.formatMessage(this.getMessage('incomplete', 'Complete the format (missing %s characters)'), [missing]);
+            return this.formatMessage(this.getMessage('incomplete', ['Complete the format (missing %s character)', 'Complete the format (missing %s characters)'], $element, missing), [missing]);
+        },
+
+        /**
+         * Build too-long message from the mask's maximum length.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {string} Message text.
+         */
+        getTooLongMessage: function($element) {
+            var customMessage = this.getCustomError($element);
+            if (customMessage) {
+                return customMessage;
+            }
+
+            var max = this.getCompletenessInfo($element).max;
+
+            return this.formatMessage(this.getMessage('tooLong', ['Please enter no more than %s character', 'Please enter no more than %s characters'], $element, max), [max]);
+        },
+
+        /**
+         * Build validator message for a complete value.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {string} Message text or empty string when valid.
+         */
+        getValidationMessage: function($element) {
+            var error = this.getValidationError($element);
+            return error ? error.message : '';
+        },
+
+        /**
+         * Run the field validator on a complete value.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {{code: string, message: string}|null} Error or null when valid.
+         */
+        getValidationError: function($element) {
+            var validator = this.validators[this.getValidatorName($element)];
+            var value = this.getCleanValue($element);
+
+            if (typeof validator !== 'function' || !value || this.isIncomplete($element)) {
+                return null;
+            }
+
+            var result = validator.call(this, value, $element);
+
+            if (result === true) {
+                return null;
+            }
+
+            if (!result) {
+                result = { code: 'invalidChecksum', args: [] };
+            } else if (typeof result === 'string') {
+                result = { code: result, args: [] };
+            }
+
+            var fallback = result.code === 'invalidChecksum' ? 'This number is not valid (checksum mismatch)' : this.getMessage('invalidGeneric', 'Invalid value for this field', $element);
+
+            return {
+                code: result.code,
+                message: this.getCustomError($element) || this.formatMessage(this.getMessage(result.code, fallback, $element, (result.args || [])[0]), result.args || [])
+            };
+        },
+
+        /**
+         * Get the current error of a masked field: required, incomplete or validator failure.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {{code: string, message: string}|null} Error or null when valid.
+         */
+        getFieldError: function($element) {
+            if (this.isEmptyRequired($element)) {
+                return { code: 'required', message: this.getRequiredMessage($element) };
+            }
+
+            if (this.isIncomplete($element)) {
+                var info = this.getCompletenessInfo($element);
+                return { code: 'incomplete', message: this.getIncompleteMessage($element, info.required, info.current) };
+            }
+
+            if (this.isTooLong($element)) {
+                return { code: 'tooLong', message: this.getTooLongMessage($element) };
+            }
+
+            return this.getValidationError($element);
+        },
+
+        /**
+         * Get the custom error message of a field from data-mask-error or its preset.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {string} Message or empty string.
+         */
+        getCustomError: function($element) {
+            return $element.attr('data-mask-error') || $element.data('mfhfError') || '';
+        },
+
+        /**
+         * Get validator name from data attribute or applied preset.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {string} Validator name or empty string.
+         */
+        getValidatorName: function($element) {
+            return $element.attr('data-mask-validator') || $element.data('mfhfValidator') || '';
         },
 
         /**
@@ -572,12 +2396,12 @@
          * @return {string} Message text.
          */
         getRequiredMessage: function($element) {
-            var customMessage = $element.attr('data-mask-error');
+            var customMessage = this.getCustomError($element);
             if (customMessage) {
                 return customMessage;
             }
 
-            return this.getMessage('required', 'This field is required');
+            return this.getMessage('required', 'This field is required', $element);
         },
 
         /**
@@ -604,7 +2428,7 @@
                 return;
             }
 
-            var msg = $element.attr('data-mask-error') || this.getMessage('invalidGeneric', 'Invalid value for this field');
+            var msg = $element.attr('data-mask-error') || this.getMessage('invalidGeneric', 'Invalid value for this field', $element);
             this.ensureErrorStyles();
             this.renderInlineError($element, msg);
         },
@@ -645,7 +2469,7 @@
                 return;
             }
 
-            var msg = $element.attr('data-mask-error') || this.getMessage('invalidGeneric', 'Invalid value for this field');
+            var msg = $element.attr('data-mask-error') || this.getMessage('invalidGeneric', 'Invalid value for this field', $element);
             this.ensureErrorStyles();
             this.renderInlineError($element, msg);
         },
@@ -665,41 +2489,380 @@
 
             if (el.validity.tooShort) {
                 var min = $element.attr('minlength') || $element.attr('minLength') || $element.prop('minLength');
-                return this.formatMessage(this.getMessage('tooShort', 'Please enter at least %s characters'), [min]);
+                return this.formatMessage(this.getMessage('tooShort', ['Please enter at least %s character', 'Please enter at least %s characters'], $element, min), [min]);
             }
 
             if (el.validity.tooLong) {
                 var max = $element.attr('maxlength') || $element.attr('maxLength') || $element.prop('maxLength');
-                return this.formatMessage(this.getMessage('tooLong', 'Please enter no more than %s characters'), [max]);
+                return this.formatMessage(this.getMessage('tooLong', ['Please enter no more than %s character', 'Please enter no more than %s characters'], $element, max), [max]);
             }
 
             return '';
         },
 
         /**
-         * Inject and render the inline error element.
+         * Render the inline error of a field with its renderer.
          *
          * @param {jQuery} $element Target element.
          * @param {string} message Error text.
          */
         renderInlineError: function($element, message) {
-            var errorClass = $element.attr('data-mask-error-class') || this.settings.inlineErrorClass || 'mfhf-mask-error';
+            var renderer = this.getErrorRenderer($element);
+            var context = this.getErrorContext($element);
+            var changed = $element.data('mfhfErrorMessage') !== message;
+
+            // A field switching renderers removes the error of the previous one first.
+            if ($element.data('mfhfErrorRenderer') && $element.data('mfhfErrorRenderer') !== renderer) {
+                this.removeErrorElement($element);
+            }
+
+            var $error = $(renderer.render($element, message, context) || []);
+
+            $element.data('mfhfErrorEl', $error);
+            $element.data('mfhfErrorRenderer', renderer);
+            $element.data('mfhfErrorMessage', message);
+            this.addInvalidClass($element);
+
+            $element.attr('aria-invalid', 'true');
+            this.toggleDescribedBy($element, context.id, !!document.getElementById(context.id));
+
+            if (changed) {
+                this.emit($element, 'error-shown', { message: message });
+            }
+        },
+
+        /**
+         * Get the renderer of a field: data-mask-error-renderer, the errorRenderer setting or the built-in one.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {object} Renderer with render and clear functions.
+         */
+        getErrorRenderer: function($element) {
+            var self = this;
+            var name = $element.attr('data-mask-error-renderer') || this.settings.errorRenderer || '';
+
+            if (this.errorRenderers[name]) {
+                return this.errorRenderers[name];
+            }
+
+            if (!this.defaultErrorRenderer) {
+                this.defaultErrorRenderer = {
+                    render: function($el, message, context) {
+                        return self.renderErrorElement($el, message, context);
+                    },
+                    clear: function($el, $error) {
+                        $error.remove();
+                    }
+                };
+            }
+
+            return this.defaultErrorRenderer;
+        },
+
+        /**
+         * Get the rendering options of a field's inline error, each overridable per field.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {object} Context with id, className, placement, container, template, label and name.
+         */
+        getErrorContext: function($element) {
+            return {
+                id: this.getErrorId($element),
+                className: $element.attr('data-mask-error-class') || this.settings.inlineErrorClass || 'mfhf-mask-error',
+                placement: $element.attr('data-mask-error-placement') || this.settings.errorPlacement || 'after',
+                container: $element.attr('data-mask-error-container') || this.settings.errorContainer || 'p, div, li, td',
+                template: $element.attr('data-mask-error-template') || this.settings.errorTemplate || '<span class="{class}">{message}</span>',
+                label: this.getFieldLabel($element),
+                name: $element.attr('name') || ''
+            };
+        },
+
+        /**
+         * Built-in renderer: build the error from the template and place it.
+         *
+         * An error already on the page keeps its element, so screen readers
+         * announce the new text in the same live region.
+         *
+         * @param {jQuery} $element Target element.
+         * @param {string} message Error text.
+         * @param {object} context Context from getErrorContext().
+         * @return {jQuery} Error element.
+         */
+        renderErrorElement: function($element, message, context) {
             var $error = $element.data('mfhfErrorEl');
+            var $rendered = $($.parseHTML($.trim(this.formatErrorTemplate(context.template, {
+                message: message,
+                id: context.id,
+                'class': context.className,
+                label: context.label,
+                field: context.name
+            })))).filter('*').first();
+
+            if (!$rendered.length) {
+                $rendered = $('<span/>', { 'class': context.className }).text(message);
+            }
 
-            if (!$error || !$error.length) {
-                $error = $('<span/>', {
-                    'class': errorClass,
-                    'aria-live': 'polite'
-                });
+            $rendered.attr({ 'id': context.id, 'aria-live': 'polite' });
+            this.copyErrorProperties($element, $rendered);
+
+            if ($error && $error.length && $.contains(document.documentElement, $error.get(0))) {
+                $error.attr('class', $rendered.attr('class') || '').attr('style', $rendered.attr('style') || null).html($rendered.html());
+                return $error;
+            }
+
+            this.placeErrorElement($element, $rendered, context);
+
+            return $rendered;
+        },
+
+        /**
+         * Fill an error template; values are HTML-escaped.
+         *
+         * @param {string} template Template with {message}, {id}, {class}, {label} and {field}.
+         * @param {object} values Placeholder values.
+         * @return {string} HTML.
+         */
+        formatErrorTemplate: function(template, values) {
+            var self = this;
+
+            return String(template).replace(/\{(\w+)\}/g, function(match, key) {
+                return values.hasOwnProperty(key) ? self.escapeHtml(values[key]) : match;
+            });
+        },
+
+        /**
+         * Escape text for use in HTML.
+         *
+         * @param {*} value Text.
+         * @return {string} Escaped text.
+         */
+        escapeHtml: function(value) {
+            return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        },
+
+        /**
+         * Give the error the --mfhf-* custom properties set in the field's style attribute.
+         *
+         * Properties set on an ancestor reach the error through inheritance.
+         *
+         * @param {jQuery} $element Target element.
+         * @param {jQuery} $error Error element.
+         */
+        copyErrorProperties: function($element, $error) {
+            var properties = ($element.attr('style') || '').match(/--mfhf-[\w-]+\s*:[^;]+/g);
+
+            if (properties) {
+                $error.attr('style', ($error.attr('style') ? $error.attr('style').replace(/;?\s*$/, ';') : '') + properties.join(';'));
+            }
+        },
+
+        /**
+         * Insert an error element according to the placement.
+         *
+         * after and before place it next to the field, container appends it to the
+         * closest ancestor matching the container selector, and any other value is
+         * a selector of a slot, searched from the field outwards. Placements that
+         * find nothing fall back to after.
+         *
+         * @param {jQuery} $element Target element.
+         * @param {jQuery} $error Error element.
+         * @param {object} context Context from getErrorContext().
+         */
+        placeErrorElement: function($element, $error, context) {
+            var $target = $();
+
+            if (context.placement === 'before') {
+                $element.before($error);
+                return;
+            }
 
-                $element.data('mfhfErrorEl', $error);
+            try {
+                if (context.placement === 'container') {
+                    $target = $element.parent().closest(context.container);
+                } else if (context.placement !== 'after') {
+                    $element.parents().each(function() {
+                        $target = $(this).find(context.placement).first();
+                        return !$target.length;
+                    });
+                }
+            } catch (e) {
+                $target = $();
+            }
+
+            if ($target.length) {
+                $target.append($error);
+            } else {
                 $element.after($error);
+            }
+        },
+
+        /**
+         * Remove a field's error element with the renderer that created it.
+         *
+         * @param {jQuery} $element Target element.
+         */
+        removeErrorElement: function($element) {
+            var renderer = $element.data('mfhfErrorRenderer');
+            var $error = $element.data('mfhfErrorEl') || $();
+
+            if (renderer && typeof renderer.clear === 'function') {
+                renderer.clear($element, $error, this.getErrorContext($element));
             } else {
-                $error.attr('class', errorClass);
+                $error.remove();
             }
 
-            $error.text(message).show();
-            this.addInvalidClass($element);
+            $element.removeData('mfhfErrorEl').removeData('mfhfErrorRenderer').removeData('mfhfErrorMessage');
+        },
+
+        /**
+         * Get the field ID, generating one when the field has none.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {string} Field ID.
+         */
+        getFieldId: function($element) {
+            var id = $element.attr('id');
+
+            if (!id) {
+                this.fieldIdCounter += 1;
+                id = 'mfhf-field-' + this.fieldIdCounter;
+                $element.attr('id', id);
+            }
+
+            return id;
+        },
+
+        /**
+         * Get the stable ID of a field's inline error element.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {string} Error element ID.
+         */
+        getErrorId: function($element) {
+            return this.getFieldId($element) + '-mask-error';
+        },
+
+        /**
+         * Add or remove an ID from aria-describedby, keeping other references.
+         *
+         * @param {jQuery} $element Target element.
+         * @param {string} id Referenced element ID.
+         * @param {boolean} add True to add, false to remove.
+         */
+        toggleDescribedBy: function($element, id, add) {
+            var ids = $.grep(($element.attr('aria-describedby') || '').split(/\s+/), function(value) {
+                return value && value !== id;
+            });
+
+            if (add) {
+                ids.push(id);
+            }
+
+            if (ids.length) {
+                $element.attr('aria-describedby', ids.join(' '));
+            } else {
+                $element.removeAttr('aria-describedby');
+            }
+        },
+
+        /**
+         * Decide whether a form shows the error summary on failed submit.
+         *
+         * @param {jQuery} $form Target form.
+         * @return {boolean} True when the summary should render.
+         */
+        shouldShowErrorSummary: function($form) {
+            var attr = $form.attr('data-mask-error-summary');
+
+            if (typeof attr !== 'undefined') {
+                return this.parseBoolean(attr, true);
+            }
+
+            return !!this.settings.showErrorSummary;
+        },
+
+        /**
+         * Render the error summary at the top of the form.
+         *
+         * @param {jQuery} $form Target form.
+         * @param {Array} fields Invalid fields as {$element, message}.
+         */
+        renderErrorSummary: function($form, fields) {
+            var self = this;
+            var $summary = $form.children('.mfhf-error-summary');
+            var titleId = ($form.attr('id') || 'mfhf-form-' + $('form').index($form)) + '-mask-error-summary-title';
+
+            if (!fields.length) {
+                $summary.remove();
+                return;
+            }
+
+            if (!$summary.length) {
+                $summary = $('<div/>', {
+                    'class': 'mfhf-error-summary',
+                    'role': 'alert',
+                    'aria-labelledby': titleId
+                });
+                $form.prepend($summary);
+            }
+
+            var $list = $('<ul/>');
+
+            $.each(fields, function(index, field) {
+                var fieldId = self.getFieldId(field.$element);
+
+                $('<li/>').attr('data-mfhf-field', fieldId).append(
+                    $('<a/>', { href: '#' + fieldId }).text(self.getFieldLabel(field.$element) + ': ' + field.message)
+                ).appendTo($list);
+            });
+
+            $summary.empty().append(
+                $('<p/>', { 'id': titleId, 'class': 'mfhf-error-summary-title' }).text(this.getMessage('errorSummaryTitle', 'Please correct the following errors:', $form)),
+                $list
+            );
+        },
+
+        /**
+         * Remove a field from its form's error summary.
+         *
+         * @param {jQuery} $element Target element.
+         */
+        removeFromErrorSummary: function($element) {
+            var $summary = $element.closest(this.settings.formSelector || '.hf-form').children('.mfhf-error-summary');
+
+            if (!$summary.length || !$element.attr('id')) {
+                return;
+            }
+
+            $summary.find('li').filter(function() {
+                return $(this).attr('data-mfhf-field') === $element.attr('id');
+            }).remove();
+
+            if (!$summary.find('li').length) {
+                $summary.remove();
+            }
+        },
+
+        /**
+         * Get a readable field label for the error summary.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {string} Label text, falling back to the field name.
+         */
+        getFieldLabel: function($element) {
+            var id = $element.attr('id');
+            var $label = id ? $('label').filter(function() {
+                return $(this).attr('for') === id;
+            }) : $();
+
+            if (!$label.length) {
+                $label = $element.closest('label');
+            }
+
+            // Wrapping labels also contain the control and its inline error.
+            var text = $.trim($label.first().clone().find('input, select, textarea, [aria-live]').remove().end().text().replace(/\s+/g, ' '));
+
+            return text || $element.attr('aria-label') || $element.attr('name') || id;
         },
 
         /**
@@ -708,14 +2871,24 @@
          * @param {jQuery} $element Target element.
          */
         clearInlineError: function($element) {
-            var $error = $element.data('mfhfErrorEl');
+            var hadError = $element.attr('aria-invalid') === 'true';
 
-            if ($error && $error.length) {
-                $error.remove();
-                $element.removeData('mfhfErrorEl');
+            if ($element.data('mfhfErrorEl') || $element.data('mfhfErrorRenderer')) {
+                this.removeErrorElement($element);
             }
 
             this.removeInvalidClass($element);
+
+            if ($element.attr('id')) {
+                this.toggleDescribedBy($element, this.getErrorId($element), false);
+                this.removeFromErrorSummary($element);
+            }
+
+            $element.removeAttr('aria-invalid');
+
+            if (hadError) {
+                this.emit($element, 'error-cleared');
+            }
         },
 
         /**
@@ -770,7 +2943,13 @@
             var style = document.createElement('style');
             style.type = 'text/css';
             style.id = 'mfhf-inline-error-styles';
-            style.appendChild(document.createTextNode('.mfhf-mask-error{display:block;color:#cc0000;font-size:12px;margin-top:4px;}'));
+            style.appendChild(document.createTextNode(
+                '.mfhf-mask-error{display:block;color:var(--mfhf-error-color,#cc0000);font-size:var(--mfhf-error-font-size,12px);margin-top:var(--mfhf-error-spacing,4px);}' +
+                '.mfhf-error-summary{border:var(--mfhf-summary-border-width,2px) solid var(--mfhf-summary-border-color,var(--mfhf-error-color,#cc0000));background:var(--mfhf-summary-background,transparent);padding:var(--mfhf-summary-padding,10px 15px);margin-bottom:15px;}' +
+                '.mfhf-error-summary-title{font-weight:bold;margin:0 0 5px;}' +
+                '.mfhf-error-summary ul{margin:0;padding-left:20px;}' +
+                '.mfhf-error-summary a{color:var(--mfhf-error-color,#cc0000);}'
+            ));
 
             var head = document.head || document.getElementsByTagName('head')[0];
 
@@ -797,17 +2976,34 @@
         },
 
         /**
-         * Get required and current lengths for completeness checks.
+         * Determine if current value has more characters than the mask accepts.
+         *
+         * @param {jQuery} $element Target element.
+         * @return {boolean} True when value is too long.
+         */
+        isTooLong: function($element) {
+            var info = this.getCompletenessInfo($element);
+            return info.current > info.max;
+        },
+
+        /**
+         * Get required, maximum and current lengths for completeness checks.
          *
          * @param {jQuery} $element Target element.
-         * @return {{required: number, current: number}} Length info.
+         * @return {{required: number, max: number, current: number}} Length info (max is Infinity for recursive masks).
          */
         getCompletenessInfo: function($element) {
+            // Reverse number masks accept any number of digits.
+            if ($element.data('mfhfNumberFormat')) {
+                return { required: 0, max: Infinity, current: this.getCleanValue($element).length };
+            }
+
             var maskPattern = this.getMaskPattern($element);
-            var required = this.countRequiredChars(maskPattern);
-            var current = this.getCleanValue($element).length;
+            var lengths = maskPattern ? this.getMaskLengths(maskPattern, this.getMaskTranslation($element)) : { min: 0, max: Infinity };
 
-            return { required: required, current: current };
+            var current = this.getMaskInstance($element) ? $element.cleanVal() : $element.val();
+
+            return { required: lengths.min, max: lengths.max, current: current.length };
         },
 
         /**
@@ -833,30 +3029,28 @@
         },
 
         /**
-         * Count required characters in mask pattern (ignores optional 9).
+         * Get the translation table used by a field: global tokens plus its own translation option.
          *
-         * @param {string} maskPattern Mask string.
-         * @return {number} Required character count.
+         * @param {jQuery} $element Target element.
+         * @return {object} Translation table keyed by mask character.
          */
-        countRequiredChars: function(maskPattern) {
-            if (!maskPattern) {
-                return 0;
-            }
-
-            var chars = maskPattern.split('');
-            var required = 0;
+        getMaskTranslation: function($element) {
+            var instance = this.getMaskInstance($element);
 
-            chars.forEach(function(ch) {
-                if (ch === '9') {
-                    return; // optional
-                }
+            if (instance && instance.translation) {
+                return instance.translation;
+            }
 
-                if (ch === '0' || ch === 'A' || ch === 'S' || ch === '#') {
-                    required += 1;
-                }
-            });
+            return this.getTranslationTable();
+        },
 
-            return required;
+        /**
+         * Get jQuery Mask's global tokens, which custom translations extend.
+         *
+         * @return {object} Translation table keyed by mask character.
+         */
+        getTranslationTable: function() {
+            return $.jMaskGlobals.translation;
         },
 
         /**
@@ -869,7 +3063,10 @@
             var isRequired = $element.is('[required]');
             return isRequired && !$element.val();
         }
-    };
+    });
+
+    // Register custom translations before jQuery Mask applies data-mask attributes on DOM ready.
+    MaskForHtmlForms.extendTranslations();
 
     // Initialize on DOM ready.
     $(document).ready(function() {
@@ -0,0 +1,1636 @@
+/**
+ * Mask for HTML Forms - Vanilla Engine
+ *
+ * Dependency-free alternative to mask-init.js and jQuery Mask Plugin.
+ * Applies data-mask and data-mask-preset fields with the same mask
+ * grammar, translations, presets and options, and exposes the core
+ * MaskForHtmlForms API without jQuery. Presets, number and paste
+ * helpers come from mask-core.js; validation is left to the jQuery
+ * engine and the server.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+(function(window, document) {
+    'use strict';
+
+    var Core = window.MaskForHtmlFormsCore;
+
+    /**
+     * Main initialization object, built on the shared core.
+     */
+    var MaskForHtmlForms = Core.extend({}, Core, {
+
+        /**
+         * Masking engine name.
+         */
+        engine: 'vanilla',
+
+        /**
+         * Plugin settings (passed from PHP via wp_localize_script).
+         */
+        settings: window.mfhfSettings || {},
+
+        /**
+         * Whether init() has run and destroy() has not.
+         */
+        initialized: false,
+
+        /**
+         * Whether the HTML Forms success handler is bound (html_forms has no way to unbind it).
+         */
+        htmlFormsBound: false,
+
+        /**
+         * Document and window listeners added by init(), removed by destroy().
+         */
+        listeners: [],
+
+        /**
+         * Dynamic input registry: the page observer, one observer per form container,
+         * nodes waiting for the next animation frame and that frame's id.
+         */
+        dynamic: null,
+
+        /**
+         * Mask tokens, the same defaults as jQuery Mask Plugin 1.14.16.
+         */
+        translation: {
+            '0': { pattern: /\d/ },
+            '9': { pattern: /\d/, optional: true },
+            '#': { pattern: /\d/, recursive: true },
+            'A': { pattern: /[a-zA-Z0-9]/ },
+            'S': { pattern: /[a-zA-Z]/ }
+        },
+
+        /**
+         * Initialize the mask functionality.
+         */
+        init: function() {
+            if (this.initialized) {
+                this.refresh();
+                return;
+            }
+
+            this.initialized = true;
+            this.addTranslations();
+            this.applyMasks(document);
+            this.setupDynamicMasks();
+            this.setupFormEvents();
+        },
+
+        /**
+         * Resolve a selector, element, NodeList or jQuery object to an array of elements.
+         *
+         * @param {string|Element|NodeList|Array} selector Elements or selector.
+         * @return {Array} Elements.
+         */
+        getElements: function(selector) {
+            if (!selector) {
+                return [];
+            }
+
+            if (typeof selector === 'string') {
+                return Array.prototype.slice.call(document.querySelectorAll(selector));
+            }
+
+            if (selector.nodeType) {
+                return [selector];
+            }
+
+            return Array.prototype.slice.call(selector);
+        },
+
+        /**
+         * Get the engine's token table, which custom translations extend.
+         *
+         * @return {object} Translation table keyed by mask character.
+         */
+        getTranslationTable: function() {
+            return this.translation;
+        },
+
+        /**
+         * Apply masks to all matching inputs inside a container.
+         *
+         * @param {Document|Element} scope Container.
+         */
+        applyMasks: function(scope) {
+            var self = this;
+
+            this.getElements(scope.querySelectorAll('[data-mask-preset]')).forEach(function(el) {
+                self.applyPresetMask(el);
+            });
+
+            this.getElements(scope.querySelectorAll('[data-mask]:not([data-mask-preset])')).forEach(function(el) {
+                self.applyDataMask(el);
+            });
+        },
+
+        /**
+         * Apply the mask of a data-mask field, like $.applyDataMask().
+         *
+         * @param {Element} el The input element.
+         */
+        applyDataMask: function(el) {
+            var mask = el.getAttribute('data-mask');
+            var instance = this.getMaskInstance(el);
+
+            if (mask && (!instance || instance.mask !== mask)) {
+                el.mfhfPaste = null;
+                this.applyMask(el, mask, this.getInlineMaskOptions(el));
+            }
+        },
+
+        /**
+         * Apply a preset mask to an element.
+         *
+         * A pipe-separated list (e.g. "phone-pl|phone-pl-intl") switches
+         * between the listed presets while the user types.
+         *
+         * @param {Element} el The input element.
+         */
+        applyPresetMask: function(el) {
+            var presetName = el.getAttribute('data-mask-preset') || '';
+            var instance = this.getMaskInstance(el);
+
+            // Keep the mask on repeated calls, so refreshing does not rebuild it.
+            if (instance && instance.preset === presetName) {
+                return;
+            }
+
+            if (presetName.indexOf('|') !== -1) {
+                this.applySwitchingMask(el, presetName.split('|'));
+            } else {
+                this.applyNamedPreset(el, presetName);
+            }
+
+            instance = this.getMaskInstance(el);
+
+            if (instance) {
+                instance.preset = presetName;
+            }
+        },
+
+        /**
+         * Apply a single named preset to an element.
+         *
+         * @param {Element} el The input element.
+         * @param {string} presetName Preset name.
+         */
+        applyNamedPreset: function(el, presetName) {
+            var preset = this.getPreset(presetName);
+
+            if (!preset) {
+                console.warn('Mask for HTML Forms: Unknown preset "' + presetName + '"');
+                return;
+            }
+
+            var options = this.extend({}, preset.options || {}, this.getInlineMaskOptions(el));
+            var mask = preset.mask;
+
+            el.mfhfNumberFormat = null;
+            el.mfhfPhoneCountries = null;
+            el.mfhfPaste = preset.paste || null;
+
+            if (preset.number) {
+                el.mfhfNumberFormat = this.getNumberFormat(preset.number);
+                mask = this.buildNumberMask(el.mfhfNumberFormat);
+                options = this.withNumberOptions(el.mfhfNumberFormat, options);
+            }
+
+            if (preset.cardBrands) {
+                mask = this.getCardMaskResolver(mask);
+            }
+
+            if (preset.phone) {
+                el.mfhfPhoneCountries = preset.phone;
+                mask = this.getPhoneMaskResolver(el, mask);
+            }
+
+            this.applyMask(el, mask, options);
+        },
+
+        /**
+         * Read mask options set inline on a field.
+         *
+         * @param {Element} el The input element.
+         * @return {object} Options from data-mask-placeholder, -reverse, -clearifnotmatch and -selectonfocus.
+         */
+        getInlineMaskOptions: function(el) {
+            var options = {};
+            var attributes = {
+                placeholder: 'data-mask-placeholder',
+                reverse: 'data-mask-reverse',
+                clearIfNotMatch: 'data-mask-clearifnotmatch',
+                selectOnFocus: 'data-mask-selectonfocus'
+            };
+
+            for (var option in attributes) {
+                var value = el.getAttribute(attributes[option]);
+
+                if (value === null) {
+                    continue;
+                }
+
+                options[option] = option === 'placeholder' ? value : ['false', '0', 'no', 'off'].indexOf(value.toLowerCase()) === -1;
+            }
+
+            return options;
+        },
+
+        /**
+         * Add reverse masking and optional minus sign support to number options.
+         *
+         * @param {object} format Number format.
+         * @param {object} options Preset options.
+         * @return {object} Mask options.
+         */
+        withNumberOptions: function(format, options) {
+            var self = this;
+            var opts = this.extend({ reverse: true }, options);
+
+            if (!format.negative) {
+                return opts;
+            }
+
+            opts.translation = this.extend({}, opts.translation, {
+                '0': { pattern: /[-\d]/ },
+                '#': { pattern: /[-\d]/, recursive: true }
+            });
+
+            opts.onChange = function(value, e, el) {
+                var sign = value.charAt(0) === '-' ? '-' : '';
+                var digits = value.replace(/\D/g, '');
+                var normalized = sign + (digits ? self.getMaskedValue(el, digits) : '');
+
+                if (normalized !== value) {
+                    el.value = normalized;
+                }
+            };
+
+            return opts;
+        },
+
+        /**
+         * Build a mask function that follows the card brand detected from the IIN prefix.
+         *
+         * @param {string} defaultMask Mask used until a brand is recognised.
+         * @return {Function} Mask resolver.
+         */
+        getCardMaskResolver: function(defaultMask) {
+            var self = this;
+
+            return function(val, e, el) {
+                var brand = self.detectCardBrand(val);
+
+                if (el) {
+                    self.setDataAttribute(el, 'data-mask-card-brand', brand ? brand.name : '', 'card-brand', { brand: brand ? brand.name : '', brandConfig: brand });
+                }
+
+                return brand ? brand.mask : defaultMask;
+            };
+        },
+
+        /**
+         * Build a mask function that follows the phone country.
+         *
+         * @param {Element} el Phone input element.
+         * @param {string} defaultMask Mask used until a country is recognised.
+         * @return {Function} Mask resolver.
+         */
+        getPhoneMaskResolver: function(el, defaultMask) {
+            var self = this;
+
+            return function(val) {
+                var country = self.detectPhoneCountry(el, val);
+
+                self.setDataAttribute(el, 'data-mask-phone-country', country ? country.name : '', 'phone-country', { country: country ? country.name : '', countryConfig: country });
+
+                if (!country) {
+                    return defaultMask;
+                }
+
+                if (self.getPhoneCountryFromControl(el)) {
+                    return country.mask;
+                }
+
+                return '+' + new Array(country.code.length + 1).join('0') + ' ' + country.mask;
+            };
+        },
+
+        /**
+         * Detect the phone country from the companion field or the dial code prefix.
+         *
+         * @param {Element} el Phone input element.
+         * @param {string} value Phone number (masked or clean).
+         * @return {object|null} Country config with its name, or null.
+         */
+        detectPhoneCountry: function(el, value) {
+            var digits = String(value || '').replace(/\D/g, '');
+            var countries = el.mfhfPhoneCountries || {};
+            var found = this.getPhoneCountryFromControl(el);
+
+            if (found) {
+                return found;
+            }
+
+            for (var name in countries) {
+                var code = countries.hasOwnProperty(name) ? countries[name].code : null;
+
+                if (code && digits.indexOf(code) === 0 && (!found || code.length > found.code.length)) {
+                    found = this.extend({ name: name }, countries[name]);
+                }
+            }
+
+            return found;
+        },
+
+        /**
+         * Get the country selected in the field named by data-mask-country.
+         *
+         * @param {Element} el Phone input element.
+         * @return {object|null} Country config with its name, or null.
+         */
+        getPhoneCountryFromControl: function(el) {
+            var name = el.getAttribute('data-mask-country');
+            var countries = el.mfhfPhoneCountries || {};
+
+            if (!name) {
+                return null;
+            }
+
+            var value = String(this.getControlValue(el.form || document, name) || '').toUpperCase();
+
+            for (var key in countries) {
+                if (value && countries.hasOwnProperty(key) && (key.toUpperCase() === value || '+' + countries[key].code === value || countries[key].code === value)) {
+                    return this.extend({ name: key }, countries[key]);
+                }
+            }
+
+            return null;
+        },
+
+        /**
+         * Get the value of a named control, the checked one for radio buttons.
+         *
+         * @param {Document|Element} scope Form or document.
+         * @param {string} name Control name.
+         * @return {string} Value or empty string.
+         */
+        getControlValue: function(scope, name) {
+            var controls = this.getElements(scope.querySelectorAll('[name]')).filter(function(control) {
+                return control.getAttribute('name') === name && (control.type !== 'radio' || control.checked);
+            });
+
+            return controls.length ? controls[0].value : '';
+        },
+
+        /**
+         * Set or remove a data attribute and emit an event when it changes.
+         *
+         * @param {Element} el Target element.
+         * @param {string} attribute Attribute name.
+         * @param {string} value New value, empty to remove.
+         * @param {string} event Event name without prefix.
+         * @param {object} detail Event detail.
+         */
+        setDataAttribute: function(el, attribute, value, event, detail) {
+            if ((el.getAttribute(attribute) || '') === value) {
+                return;
+            }
+
+            if (value) {
+                el.setAttribute(attribute, value);
+            } else {
+                el.removeAttribute(attribute);
+            }
+
+            this.emit(el, event, detail);
+        },
+
+        /**
+         * Apply a multi-mask field that switches presets based on its value.
+         *
+         * @param {Element} el The input element.
+         * @param {Array} names Candidate preset names in order of preference.
+         */
+        applySwitchingMask: function(el, names) {
+            var self = this;
+            var candidates = names.map(function(name) {
+                return name.trim();
+            }).filter(function(name) {
+                return !!self.getPreset(name);
+            });
+
+            if (!candidates.length) {
+                return;
+            }
+
+            el.mfhfPaste = this.getPreset(candidates[0]).paste || null;
+
+            this.applyMask(el, function(val) {
+                for (var i = 0; i < candidates.length; i++) {
+                    if (self.fitsMask(self.getPreset(candidates[i]).mask, val)) {
+                        return self.getPreset(candidates[i]).mask;
+                    }
+                }
+
+                return self.getPreset(candidates[candidates.length - 1]).mask;
+            }, this.getInlineMaskOptions(el));
+        },
+
+        /**
+         * Apply a mask to elements.
+         *
+         * The mask may be a pattern or a function receiving (value, event, element, options).
+         * Options: reverse, clearIfNotMatch, selectOnFocus, placeholder, translation,
+         * onChange, onKeyPress, onComplete and onInvalid, as in jQuery Mask Plugin.
+         *
+         * @param {string|Element|NodeList} selector Elements or selector.
+         * @param {string|Function} mask Mask pattern or resolver.
+         * @param {object} options Mask options.
+         */
+        applyMask: function(selector, mask, options) {
+            var self = this;
+
+            this.getElements(selector).forEach(function(el) {
+                if (self.getMaskInstance(el)) {
+                    self.removeMask(el);
+                }
+
+                var instance = {
+                    el: el,
+                    mask: mask,
+                    options: self.extend({}, options),
+                    translation: self.extend({}, self.translation, (options || {}).translation),
+                    invalid: [],
+                    oldValue: el.value,
+                    handlers: {}
+                };
+
+                el.mfhfMask = instance;
+                self.bindEvents(instance);
+
+                if (instance.options.placeholder) {
+                    el.setAttribute('placeholder', instance.options.placeholder);
+                }
+
+                var pattern = self.resolveMask(instance, el.value);
+
+                if (typeof mask === 'string' && !el.hasAttribute('maxlength') && !self.hasRecursiveToken(pattern, instance.translation)) {
+                    el.setAttribute('maxlength', pattern.length);
+                    instance.maxlength = true;
+                }
+
+                if (el.value) {
+                    el.value = self.getMasked(instance, el.value);
+                }
+
+                self.emit(el, 'applied');
+            });
+        },
+
+        /**
+         * Remove the mask from elements, leaving the clean value like jQuery Mask's unmask().
+         *
+         * @param {string|Element|NodeList} selector Elements or selector.
+         */
+        removeMask: function(selector) {
+            var self = this;
+
+            this.getElements(selector).forEach(function(el) {
+                var instance = self.getMaskInstance(el);
+
+                if (!instance) {
+                    return;
+                }
+
+                for (var type in instance.handlers) {
+                    el.removeEventListener(type, instance.handlers[type]);
+                }
+
+                if (instance.options.placeholder) {
+                    el.removeAttribute('placeholder');
+                }
+
+                if (instance.maxlength) {
+                    el.removeAttribute('maxlength');
+                }
+
+                el.value = self.getMasked(instance, el.value, true);
+                delete el.mfhfMask;
+
+                self.emit(el, 'removed');
+            });
+        },
+
+        /**
+         * Get the mask instance of an element.
+         *
+         * @param {string|Element} selector Element or selector.
+         * @return {object|null} Mask instance or null when unmasked.
+         */
+        getMaskInstance: function(selector) {
+            var el = this.getElements(selector)[0];
+            return el && el.mfhfMask ? el.mfhfMask : null;
+        },
+
+        /**
+         * Bind input, focus and blur handlers of a mask instance.
+         *
+         * @param {object} instance Mask instance.
+         */
+        bindEvents: function(instance) {
+            var self = this;
+            var el = instance.el;
+
+            var remember = function() {
+                if (!instance.composing) {
+                    instance.before = { value: el.value, caret: el.selectionStart };
+                }
+            };
+
+            instance.handlers = {
+                keydown: function(e) {
+                    instance.keyCode = e.keyCode || e.which;
+                    remember();
+                },
+                beforeinput: remember,
+                input: function(e) {
+                    // Mask the composed text once, on compositionend.
+                    if (!instance.composing && !e.isComposing) {
+                        self.behaviour(instance, e);
+                    }
+                },
+                compositionstart: function() {
+                    instance.composing = true;
+                },
+                compositionend: function(e) {
+                    instance.composing = false;
+                    self.behaviour(instance, e);
+                },
+                paste: function(e) {
+                    self.handlePaste(instance, e);
+                },
+                focus: function() {
+                    if (instance.options.selectOnFocus && typeof el.select === 'function') {
+                        el.select();
+                    }
+                },
+                blur: function() {
+                    if (instance.options.clearIfNotMatch && el.value && !self.getRegexMask(instance).test(el.value)) {
+                        el.value = '';
+                    }
+                }
+            };
+
+            for (var type in instance.handlers) {
+                el.addEventListener(type, instance.handlers[type]);
+            }
+        },
+
+        /**
+         * Re-mask the value after input, keeping the caret next to the same character.
+         *
+         * @param {object} instance Mask instance.
+         * @param {Event} e Input event.
+         */
+        behaviour: function(instance, e) {
+            var el = instance.el;
+            var raw = el.value;
+            var caret = typeof el.selectionStart === 'number' ? el.selectionStart : raw.length;
+            var before = instance.before;
+            var deleting = !!before && raw.length < before.value.length;
+            var masked = this.getMasked(instance, raw, false, e);
+
+            instance.before = null;
+
+            // Deleting a literal would re-insert it; remove the character next to it instead.
+            if (deleting && masked === before.value) {
+                var forward = e && e.inputType ? e.inputType === 'deleteContentForward' : caret === before.caret;
+                var index = this.findMaskChar(instance, raw, caret, forward);
+
+                if (index !== -1) {
+                    raw = raw.slice(0, index) + raw.slice(index + 1);
+                    caret = forward ? caret : index;
+                    masked = this.getMasked(instance, raw, false, e);
+                }
+            }
+
+            if (masked !== el.value) {
+                el.value = masked;
+            }
+
+            this.setCaret(el, this.getCaretPosition(instance, raw, caret, masked, deleting));
+
+            this.callbacks(instance, e);
+        },
+
+        /**
+         * Map a caret position in the raw value to the masked value.
+         *
+         * @param {object} instance Mask instance.
+         * @param {string} raw Value as typed.
+         * @param {number} caret Caret position in the raw value.
+         * @param {string} masked Masked value.
+         * @param {boolean} deleting Whether characters were deleted.
+         * @return {number} Caret position.
+         */
+        getCaretPosition: function(instance, raw, caret, masked, deleting) {
+            var position;
+
+            if (caret >= raw.length) {
+                return masked.length;
+            }
+
+            if (instance.options.reverse) {
+                position = masked.length - this.getMasked(instance, raw.slice(caret), false).length;
+            } else {
+                position = this.getMasked(instance, raw.slice(0, caret), false).length;
+            }
+
+            position = Math.max(0, Math.min(position, masked.length));
+
+            // After a deletion stay next to the remaining character, not after a separator.
+            while (deleting && position > 0 && !this.isMaskChar(instance, masked.charAt(position - 1))) {
+                position--;
+            }
+
+            return position;
+        },
+
+        /**
+         * Find the nearest character accepted by one of the mask's tokens.
+         *
+         * @param {object} instance Mask instance.
+         * @param {string} value Value to search.
+         * @param {number} caret Caret position.
+         * @param {boolean} forward Search after the caret instead of before it.
+         * @return {number} Character index or -1.
+         */
+        findMaskChar: function(instance, value, caret, forward) {
+            var i;
+
+            if (forward) {
+                for (i = caret; i < value.length; i++) {
+                    if (this.isMaskChar(instance, value.charAt(i))) {
+                        return i;
+                    }
+                }
+
+                return -1;
+            }
+
+            for (i = caret - 1; i >= 0; i--) {
+                if (this.isMaskChar(instance, value.charAt(i))) {
+                    return i;
+                }
+            }
+
+            return -1;
+        },
+
+        /**
+         * Check whether a character is accepted by one of the instance's mask tokens.
+         *
+         * @param {object} instance Mask instance.
+         * @param {string} ch Character.
+         * @return {boolean} True for value characters, false for separators.
+         */
+        isMaskChar: function(instance, ch) {
+            var translation = instance.translation;
+
+            return this.resolveMask(instance, instance.el.value).split('').some(function(maskChar) {
+                return translation[maskChar] && translation[maskChar].pattern.test(ch);
+            });
+        },
+
+        /**
+         * Insert normalized clipboard text at the selection.
+         *
+         * @param {object} instance Mask instance.
+         * @param {Event} e Paste event.
+         */
+        handlePaste: function(instance, e) {
+            var el = instance.el;
+            var clipboard = e.clipboardData || window.clipboardData;
+
+            if (!clipboard || el.readOnly) {
+                return;
+            }
+
+            var value = el.value;
+            var start = typeof el.selectionStart === 'number' ? el.selectionStart : value.length;
+            var end = typeof el.selectionEnd === 'number' ? el.selectionEnd : value.length;
+            var pasted = this.normalizePaste(el, clipboard.getData('text'));
+
+            e.preventDefault();
+            instance.before = null;
+            el.value = value.slice(0, start) + pasted + value.slice(end);
+
+            try {
+                el.setSelectionRange(start + pasted.length, start + pasted.length);
+            } catch (error) {
+                // Input types without selection support.
+            }
+
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+        },
+
+        /**
+         * Get the paste normalization of a field: defaults, settings.paste and the preset's paste config.
+         *
+         * @param {Element} el The input element.
+         * @return {object} Config with transliterate, stripPrefix and filter.
+         */
+        getPasteConfig: function(el) {
+            return this.extend({
+                transliterate: true,
+                stripPrefix: [],
+                filter: true
+            }, this.settings.paste || {}, el.mfhfPaste || {});
+        },
+
+        /**
+         * Normalize pasted text before it is masked, like mask-init.js.
+         *
+         * @param {string|Element} selector The input element.
+         * @param {string} text Pasted text.
+         * @return {string} Text to insert.
+         */
+        normalizePaste: function(selector, text) {
+            var el = this.getElements(selector)[0];
+            var instance = this.getMaskInstance(el);
+            var config = this.getPasteConfig(el);
+            var value = String(text || '');
+            var prefixes = [].concat(config.stripPrefix || []).sort(function(a, b) {
+                return String(b).length - String(a).length;
+            });
+
+            if (config.transliterate) {
+                value = this.transliterate(value);
+            }
+
+            value = value.trim();
+
+            for (var i = 0; i < prefixes.length; i++) {
+                if (prefixes[i] && value.indexOf(prefixes[i]) === 0) {
+                    value = value.slice(String(prefixes[i]).length).trim();
+                    break;
+                }
+            }
+
+            if (el.mfhfNumberFormat) {
+                return this.normalizeNumber(value, el.mfhfNumberFormat);
+            }
+
+            if (config.filter && instance) {
+                value = this.filterMaskChars(value, this.resolveMask(instance, el.value), instance.translation);
+            }
+
+            return value;
+        },
+
+        /**
+         * Move the caret of a focused element.
+         *
+         * @param {Element} el Target element.
+         * @param {number} position Caret position.
+         */
+        setCaret: function(el, position) {
+            if (document.activeElement !== el) {
+                return;
+            }
+
+            try {
+                el.setSelectionRange(position, position);
+            } catch (e) {
+                // Input types without selection support.
+            }
+        },
+
+        /**
+         * Run the onChange, onKeyPress, onComplete and onInvalid callbacks.
+         *
+         * @param {object} instance Mask instance.
+         * @param {Event} e Input event.
+         */
+        callbacks: function(instance, e) {
+            var options = instance.options;
+            var el = instance.el;
+            var val = el.value;
+            var changed = val !== instance.oldValue;
+            var mask = this.resolveMask(instance, val, e);
+
+            instance.oldValue = val;
+
+            if (changed && typeof options.onChange === 'function') {
+                options.onChange(val, e, el, options);
+            }
+
+            if (changed && typeof options.onKeyPress === 'function') {
+                options.onKeyPress(val, e, el, options);
+            }
+
+            if (val.length === mask.length && typeof options.onComplete === 'function') {
+                options.onComplete(val, e, el, options);
+            }
+
+            if (instance.invalid.length && typeof options.onInvalid === 'function') {
+                options.onInvalid(val, e, el, instance.invalid, options);
+            }
+        },
+
+        /**
+         * Resolve a function mask for the current value.
+         *
+         * @param {object} instance Mask instance.
+         * @param {string} value Current value.
+         * @param {Event} [e] Triggering event.
+         * @return {string} Mask pattern.
+         */
+        resolveMask: function(instance, value, e) {
+            if (typeof instance.mask === 'function') {
+                return String(instance.mask(value, e, instance.el, instance.options) || '');
+            }
+
+            return String(instance.mask || '');
+        },
+
+        /**
+         * Check whether a mask contains a recursive token.
+         *
+         * @param {string} mask Mask pattern.
+         * @param {object} translation Translation table.
+         * @return {boolean} True when the mask accepts unlimited characters.
+         */
+        hasRecursiveToken: function(mask, translation) {
+            return mask.split('').some(function(ch) {
+                return translation[ch] && translation[ch].recursive;
+            });
+        },
+
+        /**
+         * Apply the mask to a value, the algorithm of jQuery Mask Plugin's getMasked().
+         *
+         * @param {object} instance Mask instance.
+         * @param {string} value Value to mask.
+         * @param {boolean} [skipMaskChars] Leave literals out (clean value).
+         * @param {Event} [e] Triggering event, passed to function masks.
+         * @return {string} Masked or clean value.
+         */
+        getMasked: function(instance, value, skipMaskChars, e) {
+            var mask = this.resolveMask(instance, value, e);
+            var translation = instance.translation;
+            var buf = [];
+            var maskLen = mask.length;
+            var valLen = value.length;
+            var reverse = !!instance.options.reverse;
+            var offset = reverse ? -1 : 1;
+            var m = reverse ? maskLen - 1 : 0;
+            var v = reverse ? valLen - 1 : 0;
+            var lastMaskChar = reverse ? 0 : maskLen - 1;
+            var resetPos = -1;
+            var lastUntranslatedMaskChar;
+            var add = function(ch) {
+                if (reverse) {
+                    buf.unshift(ch);
+                } else {
+                    buf.push(ch);
+                }
+            };
+            var check = function() {
+                return reverse ? m > -1 && v > -1 : m < maskLen && v < valLen;
+            };
+
+            instance.invalid = [];
+
+            while (check()) {
+                var maskDigit = mask.charAt(m);
+                var valDigit = value.charAt(v);
+                var token = translation[maskDigit];
+
+                if (token) {
+                    if (token.pattern.test(valDigit)) {
+                        add(valDigit);
+
+                        if (token.recursive) {
+                            if (resetPos === -1) {
+                                resetPos = m;
+                            } else if (m === lastMaskChar && m !== resetPos) {
+                                m = resetPos - offset;
+                            }
+
+                            if (lastMaskChar === resetPos) {
+                                m -= offset;
+                            }
+                        }
+
+                        m += offset;
+                    } else if (valDigit === lastUntranslatedMaskChar) {
+                        // A literal typed after the mask inserted it.
+                        lastUntranslatedMaskChar = undefined;
+                    } else if (token.optional) {
+                        m += offset;
+                        v -= offset;
+                    } else if (token.fallback) {
+                        add(token.fallback);
+                        m += offset;
+                        v -= offset;
+                    } else {
+                        instance.invalid.push({ p: v, v: valDigit, e: token.pattern });
+                    }
+
+                    v += offset;
+                } else {
+                    if (!skipMaskChars) {
+                        add(maskDigit);
+                    }
+
+                    if (valDigit === maskDigit) {
+                        v += offset;
+                    } else {
+                        lastUntranslatedMaskChar = maskDigit;
+                    }
+
+                    m += offset;
+                }
+            }
+
+            var lastMaskCharDigit = mask.charAt(lastMaskChar);
+
+            if (maskLen === valLen + 1 && !translation[lastMaskCharDigit] && !skipMaskChars) {
+                buf.push(lastMaskCharDigit);
+            }
+
+            return buf.join('');
+        },
+
+        /**
+         * Build a regular expression matching complete values, used by clearIfNotMatch.
+         *
+         * @param {object} instance Mask instance.
+         * @return {RegExp} Expression.
+         */
+        getRegexMask: function(instance) {
+            var mask = this.resolveMask(instance, instance.el.value);
+            var translation = instance.translation;
+            var parts = mask.split('').map(function(ch) {
+                var token = translation[ch];
+
+                if (!token) {
+                    return ch.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+                }
+
+                var pattern = token.pattern.source;
+
+                return token.recursive ? '(' + pattern + ')*' : token.optional ? '(' + pattern + ')?' : '(' + pattern + ')';
+            });
+
+            return new RegExp('^' + parts.join('') + '$');
+        },
+
+        /**
+         * Mask a value with the element's mask, like jQuery Mask's $.fn.masked().
+         *
+         * @param {string|Element} selector Element or selector.
+         * @param {string} value Value to mask.
+         * @return {string} Masked value.
+         */
+        getMaskedValue: function(selector, value) {
+            var instance = this.getMaskInstance(selector);
+            return instance ? this.getMasked(instance, String(value)) : String(value);
+        },
+
+        /**
+         * Read a value the engine stored on a field, such as mfhfNumberFormat.
+         *
+         * @param {string|Element} field Target field.
+         * @param {string} key Property name.
+         * @return {*} Stored value.
+         */
+        getFieldData: function(field, key) {
+            var el = this.getElements(field)[0];
+            return el ? el[key] : undefined;
+        },
+
+        /**
+         * Get the clean (unmasked) value of an input.
+         *
+         * @param {string|Element} selector Input element or selector.
+         * @return {string} Clean value without mask characters (dot-decimal for number presets, E.164 for phone presets).
+         */
+        getCleanValue: function(selector) {
+            var el = this.getElements(selector)[0];
+            var instance = el ? this.getMaskInstance(el) : null;
+
+            if (!el) {
+                return '';
+            }
+
+            if (el.mfhfNumberFormat) {
+                var number = this.getNumericValue(el);
+                return isNaN(number) ? '' : number.toFixed(el.mfhfNumberFormat.precision);
+            }
+
+            if (!instance) {
+                return el.value;
+            }
+
+            var clean = this.getMasked(instance, el.value, true);
+
+            if (el.mfhfPhoneCountries) {
+                var digits = clean.replace(/\D/g, '');
+                var country = this.getPhoneCountryFromControl(el);
+
+                return digits ? '+' + (country ? country.code : '') + digits : '';
+            }
+
+            return clean;
+        },
+
+        /**
+         * Get the value of an input as a JavaScript number.
+         *
+         * @param {string|Element} selector Input element or selector.
+         * @return {number} Numeric value, NaN when empty or not numeric.
+         */
+        getNumericValue: function(selector) {
+            var el = this.getElements(selector)[0];
+            var format = el ? el.mfhfNumberFormat : null;
+
+            if (!format) {
+                return parseFloat(this.getCleanValue(selector));
+            }
+
+            var value = String(el.value || '');
+            var digits = value.replace(/\D/g, '');
+
+            if (!digits) {
+                return NaN;
+            }
+
+            var number = parseInt(digits, 10) / Math.pow(10, format.precision);
+
+            return value.charAt(0) === '-' ? -number : number;
+        },
+
+        /**
+         * Dispatch a "mfhf:<name>" DOM CustomEvent with the field values.
+         *
+         * @param {Element} el Target element.
+         * @param {string} name Event name without prefix.
+         * @param {object} [extra] Additional detail properties.
+         */
+        emit: function(el, name, extra) {
+            if (typeof window.CustomEvent !== 'function') {
+                return;
+            }
+
+            var instance = this.getMaskInstance(el);
+            var detail = this.extend({
+                mask: instance && typeof instance.mask === 'string' ? instance.mask : el.getAttribute('data-mask') || '',
+                value: el.value,
+                cleanValue: this.getCleanValue(el)
+            }, extra);
+
+            el.dispatchEvent(new CustomEvent('mfhf:' + name, { bubbles: true, detail: detail }));
+        },
+
+        /**
+         * Setup watching for dynamically added and removed inputs, like mask-init.js.
+         *
+         * Each form container gets its own observer; the page observer only looks
+         * for containers coming and going. Mutations are handled once per animation frame.
+         */
+        setupDynamicMasks: function() {
+            var self = this;
+            var formSelector = this.settings.formSelector || '.hf-form';
+
+            if (!this.settings.watchDynamicInputs || typeof MutationObserver === 'undefined' || this.dynamic) {
+                return;
+            }
+
+            this.dynamic = { page: null, containers: [], queue: [], frame: null };
+
+            this.dynamic.page = new MutationObserver(function(mutations) {
+                self.getMutatedElements(mutations).forEach(function(node) {
+                    if (node.matches(formSelector) || node.querySelector(formSelector)) {
+                        self.queueDynamicNode(node);
+                    }
+                });
+            });
+
+            this.dynamic.page.observe(document.body, {
+                childList: true,
+                subtree: true
+            });
+
+            this.getElements(formSelector).forEach(function(container) {
+                self.observeContainer(container);
+            });
+        },
+
+        /**
+         * Get the elements added or removed by mutation records.
+         *
+         * @param {Array} mutations Mutation records.
+         * @return {Array} Elements.
+         */
+        getMutatedElements: function(mutations) {
+            var self = this;
+            var nodes = [];
+
+            mutations.forEach(function(mutation) {
+                nodes = nodes.concat(self.getElements(mutation.addedNodes), self.getElements(mutation.removedNodes));
+            });
+
+            return nodes.filter(function(node) {
+                return node.nodeType === 1;
+            });
+        },
+
+        /**
+         * Watch a form container for added and removed fields.
+         *
+         * @param {Element} container Form container.
+         */
+        observeContainer: function(container) {
+            var self = this;
+            var registered = this.dynamic.containers.some(function(entry) {
+                return entry.container === container;
+            });
+
+            if (registered) {
+                return;
+            }
+
+            var observer = new MutationObserver(function(mutations) {
+                self.getMutatedElements(mutations).forEach(function(node) {
+                    self.queueDynamicNode(node);
+                });
+            });
+
+            observer.observe(container, {
+                childList: true,
+                subtree: true
+            });
+
+            this.dynamic.containers.push({ container: container, observer: observer });
+        },
+
+        /**
+         * Queue an added or removed node for the next animation frame.
+         *
+         * @param {Element} node Mutated node.
+         */
+        queueDynamicNode: function(node) {
+            var self = this;
+            var dynamic = this.dynamic;
+
+            if (dynamic.queue.indexOf(node) === -1) {
+                dynamic.queue.push(node);
+            }
+
+            if (dynamic.frame === null) {
+                dynamic.frame = this.nextFrame(function() {
+                    self.flushDynamicNodes();
+                });
+            }
+        },
+
+        /**
+         * Mask the queued nodes still in the page, tear down the ones that left it
+         * and keep one observer per form container.
+         */
+        flushDynamicNodes: function() {
+            var self = this;
+            var dynamic = this.dynamic;
+            var nodes = dynamic.queue;
+            var formSelector = this.settings.formSelector || '.hf-form';
+            var fieldSelector = '[data-mask-preset], [data-mask]';
+
+            dynamic.queue = [];
+            dynamic.frame = null;
+
+            dynamic.containers = dynamic.containers.filter(function(entry) {
+                if (document.documentElement.contains(entry.container)) {
+                    return true;
+                }
+
+                entry.observer.disconnect();
+                return false;
+            });
+
+            this.getElements(formSelector).forEach(function(container) {
+                self.observeContainer(container);
+            });
+
+            nodes.forEach(function(node) {
+                if (!document.documentElement.contains(node)) {
+                    self.teardownNodes(node);
+                    return;
+                }
+
+                var fields = self.getElements(node.querySelectorAll(fieldSelector));
+
+                if (node.matches(fieldSelector)) {
+                    fields.unshift(node);
+                }
+
+                // Leave forms passed to destroy(container) alone until they are refreshed.
+                fields.forEach(function(field) {
+                    var form = field.closest(formSelector);
+
+                    if (!form || !form.mfhfDestroyed) {
+                        self.applyNodeMasks(field);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Mask a node and the fields inside it.
+         *
+         * @param {Element} node Field or container.
+         */
+        applyNodeMasks: function(node) {
+            if (node.matches('[data-mask-preset]')) {
+                this.applyPresetMask(node);
+            } else if (node.matches('[data-mask]')) {
+                this.applyDataMask(node);
+            }
+
+            this.applyMasks(node);
+        },
+
+        /**
+         * Disconnect the dynamic input observers and drop pending mutations.
+         */
+        stopDynamicMasks: function() {
+            var dynamic = this.dynamic;
+            var cancel = window.cancelAnimationFrame || clearTimeout;
+
+            if (!dynamic) {
+                return;
+            }
+
+            if (dynamic.frame !== null) {
+                cancel(dynamic.frame);
+            }
+
+            dynamic.page.disconnect();
+
+            dynamic.containers.forEach(function(entry) {
+                entry.observer.disconnect();
+            });
+
+            this.dynamic = null;
+        },
+
+        /**
+         * Unmask the fields inside a removed node.
+         *
+         * @param {Element} node Removed node.
+         */
+        teardownNodes: function(node) {
+            var self = this;
+            var fields = this.getElements(node.querySelectorAll('input, textarea'));
+
+            if (node.matches('input, textarea')) {
+                fields.unshift(node);
+            }
+
+            fields.forEach(function(field) {
+                self.teardownField(field);
+            });
+        },
+
+        /**
+         * Remove a field's mask and preset state, keeping the value it shows.
+         *
+         * @param {Element} el Field element.
+         */
+        teardownField: function(el) {
+            var value = el.value;
+
+            if (this.getMaskInstance(el)) {
+                this.removeMask(el);
+                el.value = value;
+            }
+
+            delete el.mfhfNumberFormat;
+            delete el.mfhfPhoneCountries;
+            delete el.mfhfPaste;
+        },
+
+        /**
+         * Mask the fields of a container loaded by AJAX, in a popup or in a page-builder preview.
+         *
+         * Fields masked before keep their mask unless their mask attributes changed.
+         * Starts the plugin first when init() has not run.
+         *
+         * @param {string|Element} [container] Container or field, defaults to the document.
+         */
+        refresh: function(container) {
+            var self = this;
+            var formSelector = this.settings.formSelector || '.hf-form';
+
+            if (!this.initialized) {
+                this.init();
+                return;
+            }
+
+            this.getElements(container || document).forEach(function(node) {
+                var forms = self.getElements(node.querySelectorAll(formSelector));
+
+                if (node.matches && node.matches(formSelector)) {
+                    forms.unshift(node);
+                }
+
+                forms.forEach(function(form) {
+                    delete form.mfhfDestroyed;
+
+                    if (self.dynamic) {
+                        self.observeContainer(form);
+                    }
+                });
+
+                if (node.nodeType === 1) {
+                    self.applyNodeMasks(node);
+                } else {
+                    self.applyMasks(node);
+                }
+            });
+        },
+
+        /**
+         * Get the mask instance of a field.
+         *
+         * @param {string|Element} el Field element or selector.
+         * @return {object|null} Mask instance, or null when the field is not masked.
+         */
+        getInstance: function(el) {
+            return this.getMaskInstance(el);
+        },
+
+        /**
+         * Unmask the fields of a container, or undo init() when called without one.
+         *
+         * Forms inside the container are not masked again by the dynamic input
+         * observer until refresh() is called for them. Without a container the
+         * observers and listeners are removed as well; call init() to start again.
+         * Safe to call more than once.
+         *
+         * @param {string|Element} [container] Container or field.
+         */
+        destroy: function(container) {
+            var self = this;
+            var formSelector = this.settings.formSelector || '.hf-form';
+
+            if (container) {
+                this.getElements(container).forEach(function(node) {
+                    self.getElements(node.querySelectorAll(formSelector)).concat(node.matches(formSelector) ? [node] : []).forEach(function(form) {
+                        form.mfhfDestroyed = true;
+                    });
+
+                    self.teardownNodes(node);
+                });
+                return;
+            }
+
+            this.stopDynamicMasks();
+
+            this.listeners.forEach(function(listener) {
+                listener.target.removeEventListener(listener.type, listener.handler, listener.capture);
+            });
+
+            this.listeners = [];
+
+            this.getElements('input, textarea').forEach(function(field) {
+                self.teardownField(field);
+            });
+
+            this.getElements(formSelector).forEach(function(form) {
+                delete form.mfhfDestroyed;
+            });
+
+            this.initialized = false;
+        },
+
+        /**
+         * Swap submit values and re-mask fields after a form reset.
+         */
+        setupFormEvents: function() {
+            var self = this;
+            var formSelector = this.settings.formSelector || '.hf-form';
+
+            // Swap in submit values before HTML Forms serializes the form (it listens on document).
+            // A native submit leaves the page, so the submit values stay in place.
+            this.listen(document, 'submit', function(event) {
+                if (event.target.matches && event.target.matches(formSelector)) {
+                    self.rememberKeptValues(event.target);
+                    self.prepareSubmitValues(event.target);
+                }
+            }, true);
+
+            // HTML Forms sends the form with AJAX; restore the display values once it has a response.
+            // Its hf-* events do not bubble, so listen while capturing.
+            this.listen(document, 'hf-submitted', function(event) {
+                if (event.target.matches && event.target.matches(formSelector)) {
+                    self.restoreSubmitValues(event.target);
+                }
+            }, true);
+
+            // Restore the form after a successful submission, whether or not HTML Forms resets it.
+            if (typeof html_forms !== 'undefined' && !this.htmlFormsBound) {
+                this.htmlFormsBound = true;
+
+                html_forms.on('success', function(form) {
+                    if (self.initialized) {
+                        self.scheduleFormRestore(form, true);
+                    }
+                });
+            }
+
+            // The reset event fires before the browser resets the values.
+            this.listen(document, 'reset', function(event) {
+                if (event.target.matches && event.target.matches(formSelector)) {
+                    self.scheduleFormRestore(event.target, false);
+                }
+            });
+        },
+
+        /**
+         * Restore a form in the next animation frame, once a reset has finished.
+         *
+         * @param {Element} form Form element.
+         * @param {boolean} succeeded True after a successful HTML Forms submit.
+         */
+        scheduleFormRestore: function(form, succeeded) {
+            var self = this;
+
+            if (succeeded) {
+                form.mfhfSucceeded = true;
+            }
+
+            if (form.mfhfRestorePending) {
+                return;
+            }
+
+            form.mfhfRestorePending = true;
+
+            this.nextFrame(function() {
+                form.mfhfRestorePending = false;
+                self.restoreForm(form);
+            });
+        },
+
+        /**
+         * Reapply every mask of a form, as on page load.
+         *
+         * After a successful submit, fields marked with data-mask-keep or matching
+         * the keepOnSuccess selector get back the value they were submitted with.
+         *
+         * @param {Element} form Form element.
+         */
+        restoreForm: function(form) {
+            var kept = form.mfhfSucceeded ? form.mfhfKeptValues || [] : [];
+
+            form.mfhfSucceeded = false;
+            form.mfhfKeptValues = null;
+
+            if (!this.initialized || form.mfhfDestroyed) {
+                return;
+            }
+
+            this.teardownNodes(form);
+
+            kept.forEach(function(entry) {
+                if (entry.el.type === 'checkbox' || entry.el.type === 'radio') {
+                    entry.el.checked = entry.checked;
+                } else {
+                    entry.el.value = entry.value;
+                }
+            });
+
+            this.applyNodeMasks(form);
+        },
+
+        /**
+         * Remember the values of fields that stay filled after a successful submit.
+         *
+         * @param {Element} form Form being submitted.
+         */
+        rememberKeptValues: function(form) {
+            var selector = '[data-mask-keep]';
+
+            if (this.settings.keepOnSuccess) {
+                selector += ', ' + this.settings.keepOnSuccess;
+            }
+
+            form.mfhfKeptValues = this.getElements(form.querySelectorAll(selector)).filter(function(el) {
+                var keep = (el.getAttribute('data-mask-keep') || '').toLowerCase();
+
+                return 'value' in el && ['false', '0', 'no'].indexOf(keep) === -1;
+            }).map(function(el) {
+                return { el: el, value: el.value, checked: el.checked };
+            });
+        },
+
+        /**
+         * Replace masked values with clean ones, or add <name>_raw fields, according to the submit format.
+         *
+         * @param {Element} form Form being submitted.
+         */
+        prepareSubmitValues: function(form) {
+            var self = this;
+            var restore = [];
+
+            // Restore first in case a previous submit was interrupted.
+            this.restoreSubmitValues(form);
+
+            this.getElements(form.querySelectorAll('[data-mask], [data-mask-preset]')).forEach(function(el) {
+                var name = el.getAttribute('name');
+                var format = self.getSubmitFormat(el);
+
+                if (!name || el.disabled || !self.getMaskInstance(el) || format === 'masked') {
+                    return;
+                }
+
+                var clean = self.getCleanValue(el);
+
+                if (format === 'clean') {
+                    restore.push({ el: el, value: el.value });
+                    el.value = clean;
+                    return;
+                }
+
+                var raw = document.createElement('input');
+
+                raw.type = 'hidden';
+                raw.name = self.getRawFieldName(name);
+                raw.value = clean;
+                el.parentNode.insertBefore(raw, el.nextSibling);
+                restore.push({ raw: raw });
+            });
+
+            form.mfhfSubmitRestore = restore;
+        },
+
+        /**
+         * Restore display values after HTML Forms has sent the form.
+         *
+         * @param {Element} form Submitted form.
+         */
+        restoreSubmitValues: function(form) {
+            var restore = form ? form.mfhfSubmitRestore : null;
+
+            if (!restore) {
+                return;
+            }
+
+            restore.forEach(function(item) {
+                if (item.raw) {
+                    item.raw.parentNode.removeChild(item.raw);
+                } else {
+                    item.el.value = item.value;
+                }
+            });
+
+            delete form.mfhfSubmitRestore;
+        },
+
+        /**
+         * Get submit format for a field: clean, masked or both.
+         *
+         * @param {Element} el Target element.
+         * @return {string} Submit format.
+         */
+        getSubmitFormat: function(el) {
+            var formats = ['clean', 'masked', 'both'];
+            var format = el.getAttribute('data-mask-submit');
+
+            if (formats.indexOf(format) !== -1) {
+                return format;
+            }
+
+            return formats.indexOf(this.settings.submitFormat) !== -1 ? this.settings.submitFormat : 'masked';
+        }
+    });
+
+    // Initialize on DOM ready.
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            MaskForHtmlForms.init();
+        });
+    } else {
+        MaskForHtmlForms.init();
+    }
+
+    // Expose to global scope for external access.
+    window.MaskForHtmlForms = MaskForHtmlForms;
+
+})(window, document);
@@ -39,6 +39,41 @@ class Admin_Page {
      */
     const OPTION_INLINE_ERRORS = 'mfhf_show_inline_errors';
 
+    /**
+     * Option key for blocking submission of incomplete or invalid masked fields.
+     *
+     * @var string
+     */
+    const OPTION_BLOCK_INVALID_SUBMIT = 'mfhf_block_invalid_submit';
+
+    /**
+     * Option key for the form-level error summary.
+     *
+     * @var string
+     */
+    const OPTION_ERROR_SUMMARY = 'mfhf_show_error_summary';
+
+    /**
+     * Option key for the default submit format.
+     *
+     * @var string
+     */
+    const OPTION_SUBMIT_FORMAT = 'mfhf_submit_format';
+
+    /**
+     * Option key for the front-end masking engine.
+     *
+     * @var string
+     */
+    const OPTION_ENGINE = 'mfhf_mask_engine';
+
+    /**
+     * Script handle for the admin preview script.
+     *
+     * @var string
+     */
+    const ADMIN_SCRIPT_HANDLE = 'mfhf-admin';
+
     /**
      * Admin notice message.
      *
@@ -46,12 +81,38 @@ class Admin_Page {
      */
     private ?string $notice = null;
 
+    /**
+     * Admin notice type: success or error.
+     *
+     * @var string
+     */
+    private string $notice_type = 'success';
+
+    /**
+     * Assets loader instance.
+     *
+     * @var Assets_Loader
+     */
+    private Assets_Loader $assets_loader;
+
+    /**
+     * Custom presets instance.
+     *
+     * @var Custom_Presets
+     */
+    private Custom_Presets $custom_presets;
+
     /**
      * Constructor.
      *
      * Sets up admin hooks.
+     *
+     * @param Assets_Loader  $assets_loader  The assets loader instance.
+     * @param Custom_Presets $custom_presets The custom presets instance.
      */
-    public function __construct() {
+    public function __construct( Assets_Loader $assets_loader, Custom_Presets $custom_presets ) {
+        $this->assets_loader  = $assets_loader;
+        $this->custom_presets = $custom_presets;
         $this->init_hooks();
     }
 
@@ -100,6 +161,17 @@ class Admin_Page {
             array(),
             MFHF_VERSION
         );
+
+        // Mask scripts are registered on wp_enqueue_scripts only; admin.js needs them for the preset preview and the playground.
+        $this->assets_loader->register_scripts();
+
+        wp_enqueue_script(
+            self::ADMIN_SCRIPT_HANDLE,
+            MFHF_PLUGIN_URL . 'assets/js/admin.js',
+            array( 'jquery', Assets_Loader::INIT_SCRIPT_HANDLE ),
+            MFHF_VERSION,
+            true
+        );
     }
 
     /**
@@ -127,6 +199,7 @@ class Admin_Page {
      */
     public function render_page(): void {
         $this->handle_settings_form();
+        $this->handle_custom_presets_form();
         ?>
         <div class="wrap mfhf-admin-page">
             <h1><?php esc_html_e( 'Mask for HTML Forms', 'mask-for-html-forms' ); ?></h1>
@@ -138,9 +211,11 @@ class Admin_Page {
             </div>
 
             <?php $this->render_settings_section(); ?>
+            <?php $this->render_custom_presets_section(); ?>
             <?php $this->render_quick_start_section(); ?>
             <?php $this->render_presets_section(); ?>
             <?php $this->render_custom_masks_section(); ?>
+            <?php $this->render_playground_section(); ?>
             <?php $this->render_mask_options_section(); ?>
             <?php $this->render_examples_section(); ?>
         </div>
@@ -169,9 +244,138 @@ class Admin_Page {
 
         update_option( self::OPTION_INLINE_ERRORS, $inline_errors_enabled ? 1 : 0 );
 
+        $block_invalid_submit = isset( $_POST['mfhf_block_invalid_submit'] ) && '1' === $_POST['mfhf_block_invalid_submit'];
+
+        update_option( self::OPTION_BLOCK_INVALID_SUBMIT, $block_invalid_submit ? 1 : 0 );
+
+        $error_summary_enabled = isset( $_POST['mfhf_show_error_summary'] ) && '1' === $_POST['mfhf_show_error_summary'];
+
+        update_option( self::OPTION_ERROR_SUMMARY, $error_summary_enabled ? 1 : 0 );
+
+        $submit_format = isset( $_POST['mfhf_submit_format'] ) ? sanitize_key( wp_unslash( $_POST['mfhf_submit_format'] ) ) : 'masked';
+
+        if ( ! array_key_exists( $submit_format, $this->get_submit_formats() ) ) {
+            $submit_format = 'masked';
+        }
+
+        update_option( self::OPTION_SUBMIT_FORMAT, $submit_format );
+
+        $engine = isset( $_POST['mfhf_mask_engine'] ) ? sanitize_key( wp_unslash( $_POST['mfhf_mask_engine'] ) ) : Assets_Loader::ENGINE_JQUERY;
+
+        if ( ! array_key_exists( $engine, $this->get_engines() ) ) {
+            $engine = Assets_Loader::ENGINE_JQUERY;
+        }
+
+        update_option( self::OPTION_ENGINE, $engine );
+
         $this->notice = __( 'Settings saved.', 'mask-for-html-forms' );
     }
 
+    /**
+     * Handle custom preset and translation form submissions.
+     *
+     * @return void
+     */
+    private function handle_custom_presets_form(): void {
+        if ( ! isset( $_POST['mfhf_custom_presets_nonce'], $_POST['mfhf_custom_action'] ) ) {
+            return;
+        }
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            return;
+        }
+
+        if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['mfhf_custom_presets_nonce'] ) ), 'mfhf_custom_presets' ) ) {
+            return;
+        }
+
+        $action      = sanitize_key( wp_unslash( $_POST['mfhf_custom_action'] ) );
+        // Masks and patterns lose characters to sanitize_text_field(); Custom_Presets sanitizes each field further.
+        $preset      = isset( $_POST['mfhf_preset'] ) && is_array( $_POST['mfhf_preset'] ) ? map_deep( wp_unslash( $_POST['mfhf_preset'] ), array( $this->custom_presets, 'sanitize_pattern' ) ) : array();
+        $translation = isset( $_POST['mfhf_translation'] ) && is_array( $_POST['mfhf_translation'] ) ? map_deep( wp_unslash( $_POST['mfhf_translation'] ), array( $this->custom_presets, 'sanitize_pattern' ) ) : array();
+
+        switch ( $action ) {
+            case 'save_preset':
+                $name     = sanitize_key( $preset['name'] ?? '' );
+                $original = sanitize_key( $preset['original_name'] ?? '' );
+
+                if ( '' !== $name && ! $this->custom_presets->is_valid_name( $name ) ) {
+                    /* translators: %s: preset name */
+                    $this->set_notice( sprintf( __( '"%s" is the name of a built-in preset. Choose another name.', 'mask-for-html-forms' ), $name ), 'error' );
+                    return;
+                }
+
+                if ( ! $this->custom_presets->save_preset( $name, $preset ) ) {
+                    $this->set_notice( __( 'The preset needs a name and a mask.', 'mask-for-html-forms' ), 'error' );
+                    return;
+                }
+
+                // Renamed while editing.
+                if ( '' !== $original && $original !== $name ) {
+                    $this->custom_presets->delete_preset( $original );
+                }
+
+                $this->set_notice( __( 'Preset saved.', 'mask-for-html-forms' ) );
+                break;
+
+            case 'delete_preset':
+                $this->custom_presets->delete_preset( sanitize_key( $preset['name'] ?? '' ) );
+                $this->set_notice( __( 'Preset deleted.', 'mask-for-html-forms' ) );
+                break;
+
+            case 'save_translation':
+                if ( ! $this->custom_presets->save_translation( (string) ( $translation['character'] ?? '' ), $translation ) ) {
+                    $this->set_notice( __( 'The character must be a single character other than 0, 9, #, A, S or P, and the pattern a valid regular expression.', 'mask-for-html-forms' ), 'error' );
+                    return;
+                }
+
+                $this->set_notice( __( 'Character saved.', 'mask-for-html-forms' ) );
+                break;
+
+            case 'delete_translation':
+                $this->custom_presets->delete_translation( (string) ( $translation['character'] ?? '' ) );
+                $this->set_notice( __( 'Character deleted.', 'mask-for-html-forms' ) );
+                break;
+        }
+    }
+
+    /**
+     * Set the admin notice.
+     *
+     * @param string $message Notice text.
+     * @param string $type    Notice type: success or error.
+     * @return void
+     */
+    private function set_notice( string $message, string $type = 'success' ): void {
+        $this->notice      = $message;
+        $this->notice_type = $type;
+    }
+
+    /**
+     * Get available submit formats.
+     *
+     * @return array Format labels keyed by value.
+     */
+    private function get_submit_formats(): array {
+        return array(
+            'masked' => __( 'Masked value (e.g. 123 456 789)', 'mask-for-html-forms' ),
+            'clean'  => __( 'Clean value (e.g. 123456789)', 'mask-for-html-forms' ),
+            'both'   => __( 'Masked value plus clean value in <name>_raw', 'mask-for-html-forms' ),
+        );
+    }
+
+    /**
+     * Get available masking engines.
+     *
+     * @return array Engine labels keyed by value.
+     */
+    private function get_engines(): array {
+        return array(
+            Assets_Loader::ENGINE_JQUERY  => __( 'jQuery Mask Plugin (all features)', 'mask-for-html-forms' ),
+            Assets_Loader::ENGINE_VANILLA => __( 'Vanilla JavaScript (no jQuery, masking only)', 'mask-for-html-forms' ),
+        );
+    }
+
     /**
      * Render admin notice if set.
      *
@@ -182,7 +386,7 @@ class Admin_Page {
             return;
         }
 
-        echo '<div class="notice notice-success is-dismissible"><p>' . esc_html( $this->notice ) . '</p></div>';
+        echo '<div class="notice notice-' . esc_attr( $this->notice_type ) . ' is-dismissible"><p>' . esc_html( $this->notice ) . '</p></div>';
     }
 
     /**
@@ -192,6 +396,10 @@ class Admin_Page {
      */
     private function render_settings_section(): void {
         $inline_errors_enabled = (bool) get_option( self::OPTION_INLINE_ERRORS, false );
+        $block_invalid_submit  = (bool) get_option( self::OPTION_BLOCK_INVALID_SUBMIT, false );
+        $error_summary_enabled = (bool) get_option( self::OPTION_ERROR_SUMMARY, false );
+        $submit_format         = get_option( self::OPTION_SUBMIT_FORMAT, 'masked' );
+        $engine                = get_option( self::OPTION_ENGINE, Assets_Loader::ENGINE_JQUERY );
         ?>
         <div class="mfhf-section">
             <h2><?php esc_html_e( 'Settings', 'mask-for-html-forms' ); ?></h2>
@@ -204,6 +412,42 @@ class Admin_Page {
                 <p class="description">
                     <?php esc_html_e( 'You can override per field with the data-mask-show-error attribute.', 'mask-for-html-forms' ); ?>
                 </p>
+                <label style="display:flex;align-items:center;gap:8px;">
+                    <input type="checkbox" name="mfhf_block_invalid_submit" value="1" <?php checked( $block_invalid_submit ); ?> />
+                    <span><?php esc_html_e( 'Block form submission while masked fields are incomplete or invalid.', 'mask-for-html-forms' ); ?></span>
+                </label>
+                <p class="description">
+                    <?php esc_html_e( 'Errors are shown under every affected field and the first one receives focus.', 'mask-for-html-forms' ); ?>
+                </p>
+                <label style="display:flex;align-items:center;gap:8px;">
+                    <input type="checkbox" name="mfhf_show_error_summary" value="1" <?php checked( $error_summary_enabled ); ?> />
+                    <span><?php esc_html_e( 'Show an error summary with links to the fields at the top of the form when it is submitted with invalid fields.', 'mask-for-html-forms' ); ?></span>
+                </label>
+                <p class="description">
+                    <?php esc_html_e( 'You can override per form with the data-mask-error-summary attribute on the form element.', 'mask-for-html-forms' ); ?>
+                </p>
+                <p>
+                    <label for="mfhf_submit_format"><?php esc_html_e( 'Submitted value of masked fields:', 'mask-for-html-forms' ); ?></label>
+                    <select name="mfhf_submit_format" id="mfhf_submit_format">
+                        <?php foreach ( $this->get_submit_formats() as $format => $label ) : ?>
+                            <option value="<?php echo esc_attr( $format ); ?>" <?php selected( $submit_format, $format ); ?>><?php echo esc_html( $label ); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </p>
+                <p class="description">
+                    <?php esc_html_e( 'You can override per field with the data-mask-submit attribute.', 'mask-for-html-forms' ); ?>
+                </p>
+                <p>
+                    <label for="mfhf_mask_engine"><?php esc_html_e( 'Masking engine:', 'mask-for-html-forms' ); ?></label>
+                    <select name="mfhf_mask_engine" id="mfhf_mask_engine">
+                        <?php foreach ( $this->get_engines() as $value => $label ) : ?>
+                            <option value="<?php echo esc_attr( $value ); ?>" <?php selected( $engine, $value ); ?>><?php echo esc_html( $label ); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </p>
+                <p class="description">
+                    <?php esc_html_e( 'The vanilla engine loads without jQuery but only masks. Pages that need inline errors, blocked submissions, the error summary or conditional masks load the jQuery engine instead. Server-side validation applies with both engines.', 'mask-for-html-forms' ); ?>
+                </p>
                 <p>
                     <button type="submit" class="button button-primary"><?php esc_html_e( 'Save settings', 'mask-for-html-forms' ); ?></button>
                 </p>
@@ -212,6 +456,246 @@ class Admin_Page {
         <?php
     }
 
+    /**
+     * Render the custom presets and translations editor.
+     *
+     * @return void
+     */
+    private function render_custom_presets_section(): void {
+        $presets      = $this->custom_presets->get_presets();
+        $translations = $this->custom_presets->get_translations();
+        $validators   = $this->custom_presets->get_validators();
+        $edit_name    = isset( $_GET['edit_preset'] ) ? sanitize_key( wp_unslash( $_GET['edit_preset'] ) ) : '';
+        $editing      = $presets[ $edit_name ] ?? null;
+        $current      = $editing ?? $this->custom_presets->sanitize_preset( array() );
+        $page_url     = admin_url( 'admin.php?page=' . self::PAGE_SLUG );
+        ?>
+        <div class="mfhf-section mfhf-custom-presets">
+            <h2><?php esc_html_e( 'Custom Presets', 'mask-for-html-forms' ); ?></h2>
+            <p><?php esc_html_e( 'Define presets without code and use them with the data-mask-preset attribute. A preset with the name of a built-in preset replaces it.', 'mask-for-html-forms' ); ?></p>
+
+            <?php if ( $presets ) : ?>
+                <table class="wp-list-table widefat fixed striped">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e( 'Preset Name', 'mask-for-html-forms' ); ?></th>
+                            <th><?php esc_html_e( 'Mask Pattern', 'mask-for-html-forms' ); ?></th>
+                            <th><?php esc_html_e( 'Placeholder', 'mask-for-html-forms' ); ?></th>
+                            <th><?php esc_html_e( 'Validator', 'mask-for-html-forms' ); ?></th>
+                            <th><?php esc_html_e( 'Actions', 'mask-for-html-forms' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ( $presets as $preset_name => $preset_data ) : ?>
+                            <tr>
+                                <td><code><?php echo esc_html( $preset_name ); ?></code></td>
+                                <td><code><?php echo esc_html( $preset_data['mask'] ); ?></code></td>
+                                <td><?php echo esc_html( $preset_data['placeholder'] ); ?></td>
+                                <td><?php echo esc_html( $validators[ $preset_data['validator'] ] ?? '' ); ?></td>
+                                <td>
+                                    <a class="button button-small" href="<?php echo esc_url( add_query_arg( 'edit_preset', $preset_name, $page_url ) . '#mfhf-preset-editor' ); ?>"><?php esc_html_e( 'Edit', 'mask-for-html-forms' ); ?></a>
+                                    <form method="post" class="mfhf-inline-form">
+                                        <?php wp_nonce_field( 'mfhf_custom_presets', 'mfhf_custom_presets_nonce' ); ?>
+                                        <input type="hidden" name="mfhf_custom_action" value="delete_preset" />
+                                        <input type="hidden" name="mfhf_preset[name]" value="<?php echo esc_attr( $preset_name ); ?>" />
+                                        <button type="submit" class="button button-small button-link-delete"><?php esc_html_e( 'Delete', 'mask-for-html-forms' ); ?></button>
+                                    </form>
+                                </td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+
+            <h3 id="mfhf-preset-editor">
+                <?php echo $editing ? esc_html__( 'Edit Preset', 'mask-for-html-forms' ) : esc_html__( 'Add Preset', 'mask-for-html-forms' ); ?>
+            </h3>
+            <form method="post" class="mfhf-preset-form">
+                <?php wp_nonce_field( 'mfhf_custom_presets', 'mfhf_custom_presets_nonce' ); ?>
+                <input type="hidden" name="mfhf_custom_action" value="save_preset" />
+                <input type="hidden" name="mfhf_preset[original_name]" value="<?php echo esc_attr( $editing ? $edit_name : '' ); ?>" />
+                <table class="form-table" role="presentation">
+                    <tr>
+                        <th scope="row"><label for="mfhf-preset-name"><?php esc_html_e( 'Preset name', 'mask-for-html-forms' ); ?></label></th>
+                        <td>
+                            <input type="text" id="mfhf-preset-name" name="mfhf_preset[name]" class="regular-text" value="<?php echo esc_attr( $editing ? $edit_name : '' ); ?>" pattern="[a-z0-9_\-]+" required />
+                            <p class="description"><?php esc_html_e( 'Lowercase letters, digits, dashes and underscores, e.g. postal-de.', 'mask-for-html-forms' ); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="mfhf-preset-mask"><?php esc_html_e( 'Mask pattern', 'mask-for-html-forms' ); ?></label></th>
+                        <td><input type="text" id="mfhf-preset-mask" name="mfhf_preset[mask]" class="regular-text code" value="<?php echo esc_attr( $current['mask'] ); ?>" required /></td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="mfhf-preset-placeholder"><?php esc_html_e( 'Placeholder', 'mask-for-html-forms' ); ?></label></th>
+                        <td><input type="text" id="mfhf-preset-placeholder" name="mfhf_preset[placeholder]" class="regular-text" value="<?php echo esc_attr( $current['placeholder'] ); ?>" /></td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="mfhf-preset-error"><?php esc_html_e( 'Error message', 'mask-for-html-forms' ); ?></label></th>
+                        <td>
+                            <input type="text" id="mfhf-preset-error" name="mfhf_preset[error]" class="regular-text" value="<?php echo esc_attr( $current['error'] ); ?>" />
+                            <p class="description"><?php esc_html_e( 'Replaces all inline messages for this preset. Leave empty to use the default messages.', 'mask-for-html-forms' ); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="mfhf-preset-validator"><?php esc_html_e( 'Validator', 'mask-for-html-forms' ); ?></label></th>
+                        <td>
+                            <select id="mfhf-preset-validator" name="mfhf_preset[validator]">
+                                <?php foreach ( $validators as $validator => $label ) : ?>
+                                    <option value="<?php echo esc_attr( $validator ); ?>" <?php selected( $current['validator'], $validator ); ?>><?php echo esc_html( $label ); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e( 'Options', 'mask-for-html-forms' ); ?></th>
+                        <td>
+                            <label><input type="checkbox" id="mfhf-preset-reverse" name="mfhf_preset[reverse]" value="1" <?php checked( $current['reverse'] ); ?> /> <?php esc_html_e( 'Apply mask from right to left', 'mask-for-html-forms' ); ?></label><br />
+                            <label><input type="checkbox" id="mfhf-preset-clear" name="mfhf_preset[clear_if_not_match]" value="1" <?php checked( $current['clear_if_not_match'] ); ?> /> <?php esc_html_e( 'Clear the field if input does not match the mask completely', 'mask-for-html-forms' ); ?></label><br />
+                            <label><input type="checkbox" id="mfhf-preset-select" name="mfhf_preset[select_on_focus]" value="1" <?php checked( $current['select_on_focus'] ); ?> /> <?php esc_html_e( 'Select all text when field receives focus', 'mask-for-html-forms' ); ?></label>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="mfhf-preset-preview"><?php esc_html_e( 'Live preview', 'mask-for-html-forms' ); ?></label></th>
+                        <td>
+                            <input type="text" id="mfhf-preset-preview" class="regular-text" data-mask-show-error="true" autocomplete="off" />
+                            <p class="description"><?php esc_html_e( 'Type here to try the preset as it is currently filled in, before saving.', 'mask-for-html-forms' ); ?></p>
+                        </td>
+                    </tr>
+                </table>
+                <p>
+                    <button type="submit" class="button button-primary"><?php esc_html_e( 'Save preset', 'mask-for-html-forms' ); ?></button>
+                    <?php if ( $editing ) : ?>
+                        <a class="button" href="<?php echo esc_url( $page_url ); ?>"><?php esc_html_e( 'Cancel', 'mask-for-html-forms' ); ?></a>
+                    <?php endif; ?>
+                </p>
+            </form>
+
+            <h3><?php esc_html_e( 'Custom Pattern Characters', 'mask-for-html-forms' ); ?></h3>
+            <p><?php esc_html_e( 'Add characters to use in mask patterns, like the built-in P for Polish letters. The pattern is a regular expression matching one typed character.', 'mask-for-html-forms' ); ?></p>
+
+            <?php if ( $translations ) : ?>
+                <table class="wp-list-table widefat fixed striped">
+                    <thead>
+                        <tr>
+                            <th style="width: 100px;"><?php esc_html_e( 'Character', 'mask-for-html-forms' ); ?></th>
+                            <th><?php esc_html_e( 'Pattern', 'mask-for-html-forms' ); ?></th>
+                            <th><?php esc_html_e( 'Type', 'mask-for-html-forms' ); ?></th>
+                            <th><?php esc_html_e( 'Actions', 'mask-for-html-forms' ); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ( $translations as $character => $translation ) : ?>
+                            <tr>
+                                <td><code><?php echo esc_html( $character ); ?></code></td>
+                                <td><code><?php echo esc_html( $translation['pattern'] ); ?></code></td>
+                                <td>
+                                    <?php
+                                    if ( $translation['recursive'] ) {
+                                        esc_html_e( 'Recursive', 'mask-for-html-forms' );
+                                    } elseif ( $translation['optional'] ) {
+                                        esc_html_e( 'Optional', 'mask-for-html-forms' );
+                                    } else {
+                                        esc_html_e( 'Required', 'mask-for-html-forms' );
+                                    }
+                                    ?>
+                                </td>
+                                <td>
+                                    <form method="post" class="mfhf-inline-form">
+                                        <?php wp_nonce_field( 'mfhf_custom_presets', 'mfhf_custom_presets_nonce' ); ?>
+                                        <input type="hidden" name="mfhf_custom_action" value="delete_translation" />
+                                        <input type="hidden" name="mfhf_translation[character]" value="<?php echo esc_attr( $character ); ?>" />
+                                        <button type="submit" class="button button-small button-link-delete"><?php esc_html_e( 'Delete', 'mask-for-html-forms' ); ?></button>
+                                    </form>
+                                </td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+
+            <form method="post" class="mfhf-translation-form">
+                <?php wp_nonce_field( 'mfhf_custom_presets', 'mfhf_custom_presets_nonce' ); ?>
+                <input type="hidden" name="mfhf_custom_action" value="save_translation" />
+                <p>
+                    <label for="mfhf-translation-character"><?php esc_html_e( 'Character', 'mask-for-html-forms' ); ?></label>
+                    <input type="text" id="mfhf-translation-character" name="mfhf_translation[character]" class="small-text code" maxlength="1" pattern="[^09#ASP]" title="<?php esc_attr_e( '0, 9, #, A, S and P are built-in characters.', 'mask-for-html-forms' ); ?>" required />
+                    <label for="mfhf-translation-pattern"><?php esc_html_e( 'Pattern', 'mask-for-html-forms' ); ?></label>
+                    <input type="text" id="mfhf-translation-pattern" name="mfhf_translation[pattern]" class="regular-text code" placeholder="[a-zA-Z]" data-mfhf-invalid="<?php esc_attr_e( 'Browsers cannot use this regular expression.', 'mask-for-html-forms' ); ?>" required />
+                    <label><input type="checkbox" name="mfhf_translation[optional]" value="1" /> <?php esc_html_e( 'Optional', 'mask-for-html-forms' ); ?></label>
+                    <label><input type="checkbox" name="mfhf_translation[recursive]" value="1" /> <?php esc_html_e( 'Recursive', 'mask-for-html-forms' ); ?></label>
+                    <button type="submit" class="button"><?php esc_html_e( 'Save character', 'mask-for-html-forms' ); ?></button>
+                </p>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the interactive mask playground.
+     *
+     * @return void
+     */
+    private function render_playground_section(): void {
+        ?>
+        <div class="mfhf-section mfhf-playground">
+            <h2><?php esc_html_e( 'Mask Playground', 'mask-for-html-forms' ); ?></h2>
+            <p><?php esc_html_e( 'Try a mask before adding it to a form. The test field behaves exactly like a masked field in HTML Forms.', 'mask-for-html-forms' ); ?></p>
+
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><label for="mfhf-playground-mask"><?php esc_html_e( 'Mask pattern', 'mask-for-html-forms' ); ?></label></th>
+                    <td><input type="text" id="mfhf-playground-mask" class="regular-text code" value="000 000 000" /></td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Options', 'mask-for-html-forms' ); ?></th>
+                    <td>
+                        <label><input type="checkbox" id="mfhf-playground-reverse" /> <?php esc_html_e( 'Apply mask from right to left', 'mask-for-html-forms' ); ?></label><br />
+                        <label><input type="checkbox" id="mfhf-playground-clear" /> <?php esc_html_e( 'Clear the field if input does not match the mask completely', 'mask-for-html-forms' ); ?></label><br />
+                        <label><input type="checkbox" id="mfhf-playground-select" /> <?php esc_html_e( 'Select all text when field receives focus', 'mask-for-html-forms' ); ?></label>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="mfhf-playground-translations"><?php esc_html_e( 'Extra characters', 'mask-for-html-forms' ); ?></label></th>
+                    <td>
+                        <textarea id="mfhf-playground-translations" class="regular-text code" rows="2" placeholder="X [xyz]"></textarea>
+                        <p class="description"><?php esc_html_e( 'One per line: a character and the regular expression it accepts. To use them in forms, add them as Custom Pattern Characters.', 'mask-for-html-forms' ); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="mfhf-playground-input"><?php esc_html_e( 'Test input', 'mask-for-html-forms' ); ?></label></th>
+                    <td><input type="text" id="mfhf-playground-input" class="regular-text" data-mask-show-error="true" autocomplete="off" /></td>
+                </tr>
+            </table>
+
+            <table class="wp-list-table widefat fixed striped mfhf-playground-output">
+                <tbody>
+                    <tr>
+                        <th><?php esc_html_e( 'Masked value', 'mask-for-html-forms' ); ?></th>
+                        <td><code data-mfhf-output="masked"></code></td>
+                    </tr>
+                    <tr>
+                        <th><?php esc_html_e( 'Clean value', 'mask-for-html-forms' ); ?></th>
+                        <td><code data-mfhf-output="clean"></code></td>
+                    </tr>
+                    <tr>
+                        <th><?php esc_html_e( 'Characters entered / required / maximum', 'mask-for-html-forms' ); ?></th>
+                        <td><code data-mfhf-output="completeness"></code></td>
+                    </tr>
+                    <tr>
+                        <th><?php esc_html_e( 'Inline error', 'mask-for-html-forms' ); ?></th>
+                        <td data-mfhf-output="error"></td>
+                    </tr>
+                    <tr>
+                        <th><?php esc_html_e( 'HTML code', 'mask-for-html-forms' ); ?></th>
+                        <td><code class="mfhf-copyable" data-mfhf-output="snippet"></code></td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+        <?php
+    }
+
     /**
      * Render the quick start section.
      *
@@ -253,6 +737,11 @@ class Admin_Page {
                 'mask'    => '+00 000 000 000',
                 'example' => '+48 123 456 789',
             ),
+            'phone-intl'    => array(
+                'label'   => __( 'International Phone (country from +CC or a select, E.164 clean value)', 'mask-for-html-forms' ),
+                'mask'    => '+00 000 000 000',
+                'example' => '+48 123 456 789',
+            ),
             'postal-pl'     => array(
                 'label'   => __( 'Polish Postal Code', 'mask-for-html-forms' ),
                 'mask'    => '00-000',
@@ -289,9 +778,34 @@ class Admin_Page {
                 'example' => '14:30',
             ),
             'credit-card'   => array(
-                'label'   => __( 'Credit Card', 'mask-for-html-forms' ),
-                'mask'    => '0000 0000 0000 0000',
-                'example' => '1234 5678 9012 3456',
+                'label'   => __( 'Credit Card (brand detection, Luhn check)', 'mask-for-html-forms' ),
+                'mask'    => '0000 0000 0000 0000 999',
+                'example' => '4111 1111 1111 1111',
+            ),
+            'currency-pln'  => array(
+                'label'   => __( 'Amount (PLN)', 'mask-for-html-forms' ),
+                'mask'    => '# ##0,00',
+                'example' => '1 234,56',
+            ),
+            'currency-eur'  => array(
+                'label'   => __( 'Amount (EUR, site locale separators)', 'mask-for-html-forms' ),
+                'mask'    => '#.##0,00',
+                'example' => '1.234,56',
+            ),
+            'currency-usd'  => array(
+                'label'   => __( 'Amount (USD)', 'mask-for-html-forms' ),
+                'mask'    => '#,##0.00',
+                'example' => '1,234.56',
+            ),
+            'decimal'       => array(
+                'label'   => __( 'Decimal number (negatives allowed)', 'mask-for-html-forms' ),
+                'mask'    => '# ##0,00',
+                'example' => '-1 234,56',
+            ),
+            'percent'       => array(
+                'label'   => __( 'Percentage (0-100)', 'mask-for-html-forms' ),
+                'mask'    => '##0,00',
+                'example' => '99,50',
             ),
             'iban-pl'       => array(
                 'label'   => __( 'IBAN (Polish)', 'mask-for-html-forms' ),
@@ -416,6 +930,31 @@ class Admin_Page {
                         <td><?php esc_html_e( 'Select all text when field receives focus', 'mask-for-html-forms' ); ?></td>
                         <td><code>data-mask-selectonfocus="true"</code></td>
                     </tr>
+                    <tr>
+                        <td><code>data-mask-placeholder</code></td>
+                        <td><?php esc_html_e( 'Placeholder for a preset field, overriding the preset placeholder', 'mask-for-html-forms' ); ?></td>
+                        <td><code>data-mask-placeholder="dd.mm.yyyy"</code></td>
+                    </tr>
+                    <tr>
+                        <td><code>data-mask-submit</code></td>
+                        <td><?php esc_html_e( 'Submitted value: masked, clean, or both (adds a hidden <name>_raw field with the clean value)', 'mask-for-html-forms' ); ?></td>
+                        <td><code>data-mask-submit="clean"</code></td>
+                    </tr>
+                    <tr>
+                        <td><code>data-mask-depends-on</code></td>
+                        <td><?php esc_html_e( 'Name of the field whose value selects the mask (used with data-mask-map)', 'mask-for-html-forms' ); ?></td>
+                        <td><code>data-mask-depends-on="country"</code></td>
+                    </tr>
+                    <tr>
+                        <td><code>data-mask-map</code></td>
+                        <td><?php esc_html_e( 'JSON map of field values to presets or mask patterns, "*" is the fallback', 'mask-for-html-forms' ); ?></td>
+                        <td><code>data-mask-map='{"PL":"postal-pl","DE":"00000"}'</code></td>
+                    </tr>
+                    <tr>
+                        <td><code>data-mask-country</code></td>
+                        <td><?php esc_html_e( 'Name of the country select for phone-intl (ISO code or dial code values)', 'mask-for-html-forms' ); ?></td>
+                        <td><code>data-mask-country="country"</code></td>
+                    </tr>
                     <tr>
                         <td><code>data-mask-show-error</code></td>
                         <td><?php esc_html_e( 'Show inline error message under this field (overrides global setting)', 'mask-for-html-forms' ); ?></td>
@@ -426,6 +965,21 @@ class Admin_Page {
                         <td><?php esc_html_e( 'Custom inline error text when the mask is invalid', 'mask-for-html-forms' ); ?></td>
                         <td><code>data-mask-error="Please follow the format"</code></td>
                     </tr>
+                    <tr>
+                        <td><code>data-mask-preset</code></td>
+                        <td><?php esc_html_e( 'Separate several presets with | to switch between them while typing (first matching preset wins)', 'mask-for-html-forms' ); ?></td>
+                        <td><code>data-mask-preset="phone-pl|phone-pl-intl"</code></td>
+                    </tr>
+                    <tr>
+                        <td><code>data-mask-validator</code></td>
+                        <td><?php esc_html_e( 'Validator run once the mask is complete (pesel, nip, regon, iban, date-eu, date-iso, time-24)', 'mask-for-html-forms' ); ?></td>
+                        <td><code>data-mask-validator="nip"</code></td>
+                    </tr>
+                    <tr>
+                        <td><code>data-mask-min-date</code> / <code>data-mask-max-date</code></td>
+                        <td><?php esc_html_e( 'Date range for date presets: YYYY-MM-DD, today or a relative offset such as today-18y', 'mask-for-html-forms' ); ?></td>
+                        <td><code>data-mask-max-date="today"</code></td>
+                    </tr>
                     <tr>
                         <td><code>data-mask-error-class</code></td>
                         <td><?php esc_html_e( 'Custom CSS class for the inline error element', 'mask-for-html-forms' ); ?></td>
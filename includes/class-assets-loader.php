@@ -32,6 +32,13 @@ class Assets_Loader {
      */
     private Form_Detector $form_detector;
 
+    /**
+     * Custom presets instance.
+     *
+     * @var Custom_Presets
+     */
+    private Custom_Presets $custom_presets;
+
     /**
      * Script handle for jQuery Mask Plugin.
      *
@@ -39,6 +46,13 @@ class Assets_Loader {
      */
     const JQUERY_MASK_HANDLE = 'jquery-mask-plugin';
 
+    /**
+     * Script handle for the code shared by both masking engines.
+     *
+     * @var string
+     */
+    const CORE_SCRIPT_HANDLE = 'mfhf-mask-core';
+
     /**
      * Script handle for our initialization script.
      *
@@ -46,13 +60,36 @@ class Assets_Loader {
      */
     const INIT_SCRIPT_HANDLE = 'mfhf-mask-init';
 
+    /**
+     * Script handle for the dependency-free masking engine.
+     *
+     * @var string
+     */
+    const VANILLA_SCRIPT_HANDLE = 'mfhf-mask-vanilla';
+
+    /**
+     * Engine using jQuery Mask Plugin and mask-init.js.
+     *
+     * @var string
+     */
+    const ENGINE_JQUERY = 'jquery';
+
+    /**
+     * Engine using mask-vanilla.js without jQuery.
+     *
+     * @var string
+     */
+    const ENGINE_VANILLA = 'vanilla';
+
     /**
      * Constructor.
      *
-     * @param Form_Detector $form_detector The form detector instance.
+     * @param Form_Detector  $form_detector  The form detector instance.
+     * @param Custom_Presets $custom_presets The custom presets instance.
      */
-    public function __construct( Form_Detector $form_detector ) {
-        $this->form_detector = $form_detector;
+    public function __construct( Form_Detector $form_detector, Custom_Presets $custom_presets ) {
+        $this->form_detector  = $form_detector;
+        $this->custom_presets = $custom_presets;
         $this->init_hooks();
     }
 
@@ -86,21 +123,38 @@ class Assets_Loader {
             true
         );
 
+        // Register the presets, validators and messages shared by both engines.
+        wp_register_script(
+            self::CORE_SCRIPT_HANDLE,
+            MFHF_PLUGIN_URL . 'assets/js/mask-core.js',
+            array(),
+            MFHF_VERSION,
+            true
+        );
+
         // Register our initialization script.
         wp_register_script(
             self::INIT_SCRIPT_HANDLE,
             MFHF_PLUGIN_URL . 'assets/js/mask-init.js',
-            array( 'jquery', self::JQUERY_MASK_HANDLE ),
+            array( 'jquery', self::JQUERY_MASK_HANDLE, self::CORE_SCRIPT_HANDLE ),
             MFHF_VERSION,
             true
         );
 
-        // Localize script with settings.
-        wp_localize_script(
-            self::INIT_SCRIPT_HANDLE,
-            'mfhfSettings',
-            $this->get_script_settings()
+        // Register the dependency-free engine.
+        wp_register_script(
+            self::VANILLA_SCRIPT_HANDLE,
+            MFHF_PLUGIN_URL . 'assets/js/mask-vanilla.js',
+            array( self::CORE_SCRIPT_HANDLE ),
+            MFHF_VERSION,
+            true
         );
+
+        // Localize scripts with settings.
+        $settings = $this->get_script_settings();
+
+        wp_localize_script( self::INIT_SCRIPT_HANDLE, 'mfhfSettings', $settings );
+        wp_localize_script( self::VANILLA_SCRIPT_HANDLE, 'mfhfSettings', $settings );
     }
 
     /**
@@ -127,8 +181,12 @@ class Assets_Loader {
      * @return void
      */
     private function enqueue_scripts(): void {
-        wp_enqueue_script( self::JQUERY_MASK_HANDLE );
-        wp_enqueue_script( self::INIT_SCRIPT_HANDLE );
+        if ( self::ENGINE_VANILLA === $this->get_engine() ) {
+            wp_enqueue_script( self::VANILLA_SCRIPT_HANDLE );
+        } else {
+            wp_enqueue_script( self::JQUERY_MASK_HANDLE );
+            wp_enqueue_script( self::INIT_SCRIPT_HANDLE );
+        }
 
         /**
          * Fires after mask scripts are enqueued.
@@ -138,12 +196,59 @@ class Assets_Loader {
         do_action( 'mfhf_scripts_enqueued' );
     }
 
+    /**
+     * Get the front-end masking engine: jquery or vanilla.
+     *
+     * The vanilla engine only masks, so the jQuery engine is used instead
+     * while the page needs client-side validation. Admin screens always use
+     * the jQuery engine for their previews.
+     *
+     * @return string Engine name.
+     */
+    public function get_engine(): string {
+        /**
+         * Filter the front-end masking engine.
+         *
+         * @since 1.1.0
+         * @param string $engine Engine selected on the settings page: jquery or vanilla.
+         */
+        $engine = apply_filters( 'mfhf_mask_engine', get_option( Admin_Page::OPTION_ENGINE, self::ENGINE_JQUERY ) );
+
+        if ( self::ENGINE_VANILLA !== $engine || $this->needs_validation() ) {
+            return self::ENGINE_JQUERY;
+        }
+
+        return self::ENGINE_VANILLA;
+    }
+
+    /**
+     * Check whether the page uses client-side validation, which only the jQuery engine provides.
+     *
+     * That is the inline error, blocking and error summary settings, or
+     * forms rendered with data-mask-depends-on or the per-field and per-form
+     * error attributes.
+     *
+     * @return bool True when the jQuery engine is needed.
+     */
+    private function needs_validation(): bool {
+        $settings = $this->get_script_settings();
+
+        if ( ! empty( $settings['showInlineErrors'] ) || ! empty( $settings['blockInvalidSubmit'] ) || ! empty( $settings['showErrorSummary'] ) ) {
+            return true;
+        }
+
+        return $this->form_detector->has_validation_markup();
+    }
+
     /**
      * Get settings to pass to JavaScript.
      *
+     * Also read by Server_Validator, so both sides use the same presets,
+     * translations and messages.
+     *
      * @return array Settings array.
      */
-    private function get_script_settings(): array {
+    public function get_script_settings(): array {
         $settings = array(
             // Selector for form container.
             'formSelector'      => '.hf-form',
@@ -157,28 +262,63 @@ class Assets_Loader {
             // Enable inline error messages under inputs.
             'showInlineErrors'   => (bool) get_option( Admin_Page::OPTION_INLINE_ERRORS, false ),
 
+            // Submitted value for masked fields: masked, clean or both (adds <name>_raw).
+            'submitFormat'       => get_option( Admin_Page::OPTION_SUBMIT_FORMAT, 'masked' ),
+
+            // Cancel submission while masked fields are incomplete or invalid.
+            'blockInvalidSubmit' => (bool) get_option( Admin_Page::OPTION_BLOCK_INVALID_SUBMIT, false ),
+
+            // Show an error summary at the top of the form when a submit is blocked.
+            'showErrorSummary'   => (bool) get_option( Admin_Page::OPTION_ERROR_SUMMARY, false ),
+
+            // Fields that keep their value after a successful submit, besides [data-mask-keep].
+            'keepOnSuccess'      => '',
+
+            // Normalization of pasted text; presets override it with a paste key.
+            'paste'              => array(
+                'transliterate' => true,
+                'stripPrefix'   => array(),
+                'filter'        => true,
+            ),
+
             // Default inline error class name.
             'inlineErrorClass'   => 'mfhf-mask-error',
 
+            // Where inline errors go: after, before, container or the selector of a slot near the field.
+            'errorPlacement'     => 'after',
+
+            // Closest ancestor of the field that receives the error with the container placement.
+            'errorContainer'     => 'p, div, li, td',
+
+            // Inline error markup; {message}, {id}, {class}, {label} and {field} are escaped.
+            'errorTemplate'      => '<span class="{class}">{message}</span>',
+
+            // Renderer registered with MaskForHtmlForms.registerErrorRenderer(), empty for the built-in one.
+            'errorRenderer'      => '',
+
             // Default class added to invalid inputs.
             'invalidInputClass'  => 'mfhf-mask-invalid',
 
-            // Localized messages for inline errors.
-            'messages'          => array(
-                'invalidValueWithPos' => __( 'Invalid value "%1$s" at position %2$s (expected %3$s)', 'mask-for-html-forms' ),
-                'invalidValue'        => __( 'Invalid value "%1$s" (expected %2$s)', 'mask-for-html-forms' ),
-                'invalidGeneric'      => __( 'Invalid value for this field', 'mask-for-html-forms' ),
-                'incomplete'          => __( 'Complete the format (missing %s characters)', 'mask-for-html-forms' ),
-                'required'            => __( 'This field is required', 'mask-for-html-forms' ),
-                'tooShort'            => __( 'Please enter at least %s characters', 'mask-for-html-forms' ),
-                'tooLong'             => __( 'Please enter no more than %s characters', 'mask-for-html-forms' ),
-            ),
+            // Site locale; fields choose a catalog with lang or data-mask-locale.
+            'locale'            => determine_locale(),
+
+            // Localized messages for inline errors, in the site locale.
+            'messages'          => $this->get_messages(),
+
+            // Messages of other locales, keyed by locale.
+            'catalogs'          => $this->get_message_catalogs(),
 
             // Custom translations for mask patterns.
             'translations'      => $this->get_mask_translations(),
 
             // Preset masks for common use cases.
             'presets'           => $this->get_mask_presets(),
+
+            // Default separators for number and currency presets (site locale).
+            'numberFormat'      => $this->get_number_format(),
+
+            // Card brands detected by presets with cardBrands enabled.
+            'cardBrands'        => $this->get_card_brands(),
         );
 
         /**
@@ -190,6 +330,131 @@ class Assets_Loader {
         return apply_filters( 'mfhf_script_settings', $settings );
     }
 
+    /**
+     * Get the messages for inline errors in the current locale.
+     *
+     * A message may be a list of plural forms, chosen by the count in the
+     * message (see MaskForHtmlForms.pluralRules).
+     *
+     * @since 1.1.0
+     * @return array Messages keyed by message key.
+     */
+    private function get_messages(): array {
+        return array(
+            'invalidValueWithPos' => __( 'Invalid value "%1$s" at position %2$s (expected %3$s)', 'mask-for-html-forms' ),
+            'invalidValue'        => __( 'Invalid value "%1$s" (expected %2$s)', 'mask-for-html-forms' ),
+            'invalidGeneric'      => __( 'Invalid value for this field', 'mask-for-html-forms' ),
+            'incomplete'          => $this->get_plural_message(
+                /* translators: %s: number of missing characters */
+                _n_noop( 'Complete the format (missing %s character)', 'Complete the format (missing %s characters)', 'mask-for-html-forms' )
+            ),
+            'required'            => __( 'This field is required', 'mask-for-html-forms' ),
+            'tooShort'            => $this->get_plural_message(
+                /* translators: %s: minimum number of characters */
+                _n_noop( 'Please enter at least %s character', 'Please enter at least %s characters', 'mask-for-html-forms' )
+            ),
+            'tooLong'             => $this->get_plural_message(
+                /* translators: %s: maximum number of characters */
+                _n_noop( 'Please enter no more than %s character', 'Please enter no more than %s characters', 'mask-for-html-forms' )
+            ),
+            'invalidChecksum'     => __( 'This number is not valid (checksum mismatch)', 'mask-for-html-forms' ),
+            'invalidDate'         => __( 'Please enter a valid date', 'mask-for-html-forms' ),
+            'invalidTime'         => __( 'Please enter a valid time', 'mask-for-html-forms' ),
+            'dateTooEarly'        => __( 'The date must be on or after %s', 'mask-for-html-forms' ),
+            'dateTooLate'         => __( 'The date must be on or before %s', 'mask-for-html-forms' ),
+            'invalidCard'         => __( 'Please enter a valid card number', 'mask-for-html-forms' ),
+            'invalidPhone'        => __( 'Please enter a valid phone number', 'mask-for-html-forms' ),
+            'numberTooSmall'      => __( 'Please enter a value of at least %s', 'mask-for-html-forms' ),
+            'numberTooLarge'      => __( 'Please enter a value no greater than %s', 'mask-for-html-forms' ),
+            'errorSummaryTitle'   => __( 'Please correct the following errors:', 'mask-for-html-forms' ),
+        );
+    }
+
+    /**
+     * Get the plural forms of a message with a count from the loaded translation.
+     *
+     * The counts 1, 2 and 5 select the forms of the languages in
+     * MaskForHtmlForms.pluralRules in gettext order; repeated last forms are
+     * dropped, so English gets two.
+     *
+     * @since 1.1.0
+     * @param array $nooped Message registered with _n_noop().
+     * @return array Plural forms.
+     */
+    private function get_plural_message( array $nooped ): array {
+        $forms = array();
+
+        foreach ( array( 1, 2, 5 ) as $count ) {
+            $forms[] = translate_nooped_plural( $nooped, $count, 'mask-for-html-forms' );
+        }
+
+        while ( count( $forms ) > 1 && end( $forms ) === $forms[ count( $forms ) - 2 ] ) {
+            array_pop( $forms );
+        }
+
+        return $forms;
+    }
+
+    /**
+     * Get the messages of the other locales used on the site.
+     *
+     * English is always included, so messages missing in a catalog fall back to it.
+     *
+     * @since 1.1.0
+     * @return array Messages keyed by locale.
+     */
+    private function get_message_catalogs(): array {
+        $catalogs = array();
+
+        foreach ( $this->get_catalog_locales() as $locale ) {
+            if ( determine_locale() === $locale || ! switch_to_locale( $locale ) ) {
+                continue;
+            }
+
+            $catalogs[ $locale ] = $this->get_messages();
+            restore_previous_locale();
+        }
+
+        /**
+         * Filter the message catalogs.
+         *
+         * Add catalogs for locales without a translation file, or change their
+         * messages. Messages with a count are lists of plural forms.
+         *
+         * @since 1.1.0
+         * @param array $catalogs Messages keyed by locale (e.g. "pl_PL" or "pl").
+         */
+        return (array) apply_filters( 'mfhf_message_catalogs', $catalogs );
+    }
+
+    /**
+     * Get the locales to build message catalogs for.
+     *
+     * @since 1.1.0
+     * @return array Locales: en_US and the languages of Polylang or WPML.
+     */
+    private function get_catalog_locales(): array {
+        $locales = array( 'en_US' );
+
+        if ( function_exists( 'pll_languages_list' ) ) {
+            $locales = array_merge( $locales, (array) pll_languages_list( array( 'fields' => 'locale' ) ) );
+        }
+
+        foreach ( (array) apply_filters( 'wpml_active_languages', null ) as $language ) {
+            if ( ! empty( $language['default_locale'] ) ) {
+                $locales[] = $language['default_locale'];
+            }
+        }
+
+        /**
+         * Filter the locales that get a message catalog.
+         *
+         * @since 1.1.0
+         * @param array $locales Locales.
+         */
+        return array_values( array_unique( (array) apply_filters( 'mfhf_message_locales', $locales ) ) );
+    }
+
     /**
      * Get custom mask character translations.
      *
@@ -204,6 +469,9 @@ class Assets_Loader {
             ),
         );
 
+        // Characters defined on the admin page.
+        $translations = array_merge( $translations, $this->custom_presets->get_translations() );
+
         /**
          * Filter mask character translations.
          *
@@ -213,10 +481,47 @@ class Assets_Loader {
         return apply_filters( 'mfhf_mask_translations', $translations );
     }
 
+    /**
+     * Get default number separators from the site locale.
+     *
+     * @return array Number format with thousands and decimal separators.
+     */
+    private function get_number_format(): array {
+        global $wp_locale;
+
+        $thousands = ' ';
+        $decimal   = ',';
+
+        if ( $wp_locale instanceof \WP_Locale ) {
+            $thousands = $wp_locale->number_format['thousands_sep'];
+            $decimal   = $wp_locale->number_format['decimal_point'];
+        }
+
+        // Some locales use &nbsp; as the thousands separator; use a plain space in inputs.
+        $thousands = str_replace( "\xC2\xA0", ' ', html_entity_decode( $thousands, ENT_QUOTES, 'UTF-8' ) );
+
+        $format = array(
+            'thousands' => $thousands,
+            'decimal'   => html_entity_decode( $decimal, ENT_QUOTES, 'UTF-8' ),
+        );
+
+        /**
+         * Filter default separators for number and currency presets.
+         *
+         * @since 1.1.0
+         * @param array $format Number format with thousands and decimal keys.
+         */
+        return apply_filters( 'mfhf_number_format', $format );
+    }
+
     /**
      * Get preset masks for common formats.
      *
      * These can be referenced by name using data-mask-preset attribute.
+     * A preset may declare a validator (see MaskForHtmlForms.validators)
+     * that runs once the mask is complete. Presets with a number config
+     * build a reverse mask from it; missing keys fall back to numberFormat.
+     * A paste config overrides how pasted text is normalized.
      *
      * @return array Presets array.
      */
@@ -225,49 +530,111 @@ class Assets_Loader {
             'phone-pl'      => array(
                 'mask'    => '000 000 000',
                 'options' => array(),
+                'paste'   => array( 'stripPrefix' => array( '+48', '0048' ) ),
             ),
             'phone-pl-intl' => array(
                 'mask'    => '+00 000 000 000',
                 'options' => array(),
+                'paste'   => array( 'stripPrefix' => array( '00' ) ),
+            ),
+            'phone-intl'    => array(
+                'mask'      => '+099 999 999 999 999',
+                'options'   => array(),
+                'validator' => 'phone',
+                'phone'     => $this->get_phone_countries(),
+                'paste'     => array( 'stripPrefix' => array( '00' ) ),
             ),
             'postal-pl'     => array(
                 'mask'    => '00-000',
                 'options' => array(),
             ),
             'pesel'         => array(
-                'mask'    => '00000000000',
-                'options' => array(),
+                'mask'      => '00000000000',
+                'options'   => array(),
+                'validator' => 'pesel',
             ),
             'nip'           => array(
-                'mask'    => '000-000-00-00',
-                'options' => array(),
+                'mask'      => '000-000-00-00',
+                'options'   => array(),
+                'validator' => 'nip',
             ),
             'regon'         => array(
-                'mask'    => '000000000',
-                'options' => array(),
+                'mask'      => '000000000',
+                'options'   => array(),
+                'validator' => 'regon',
             ),
             'date-eu'       => array(
-                'mask'    => '00/00/0000',
-                'options' => array( 'placeholder' => 'DD/MM/YYYY' ),
+                'mask'      => '00/00/0000',
+                'options'   => array( 'placeholder' => 'DD/MM/YYYY' ),
+                'validator' => 'date-eu',
             ),
             'date-iso'      => array(
-                'mask'    => '0000-00-00',
-                'options' => array( 'placeholder' => 'YYYY-MM-DD' ),
+                'mask'      => '0000-00-00',
+                'options'   => array( 'placeholder' => 'YYYY-MM-DD' ),
+                'validator' => 'date-iso',
             ),
             'time-24'       => array(
-                'mask'    => '00:00',
-                'options' => array( 'placeholder' => 'HH:MM' ),
+                'mask'      => '00:00',
+                'options'   => array( 'placeholder' => 'HH:MM' ),
+                'validator' => 'time-24',
             ),
             'credit-card'   => array(
-                'mask'    => '0000 0000 0000 0000',
+                'mask'       => '0000 0000 0000 0000 999',
+                'options'    => array(),
+                'validator'  => 'card',
+                'cardBrands' => true,
+            ),
+            'currency-pln'  => array(
+                'mask'    => '',
                 'options' => array(),
+                'number'  => array(
+                    'thousands' => ' ',
+                    'decimal'   => ',',
+                    'precision' => 2,
+                ),
             ),
-            'iban-pl'       => array(
-                'mask'    => 'AA 00 0000 0000 0000 0000 0000 0000',
+            'currency-eur'  => array(
+                'mask'    => '',
                 'options' => array(),
+                'number'  => array( 'precision' => 2 ),
+            ),
+            'currency-usd'  => array(
+                'mask'    => '',
+                'options' => array(),
+                'number'  => array(
+                    'thousands' => ',',
+                    'decimal'   => '.',
+                    'precision' => 2,
+                ),
+            ),
+            'decimal'       => array(
+                'mask'    => '',
+                'options' => array(),
+                'number'  => array(
+                    'precision' => 2,
+                    'negative'  => true,
+                ),
+            ),
+            'percent'       => array(
+                'mask'      => '',
+                'options'   => array(),
+                'validator' => 'number',
+                'number'    => array(
+                    'precision' => 2,
+                    'min'       => 0,
+                    'max'       => 100,
+                ),
+            ),
+            'iban-pl'       => array(
+                'mask'      => 'AA 00 0000 0000 0000 0000 0000 0000',
+                'options'   => array(),
+                'validator' => 'iban',
             ),
         );
 
+        // Presets defined on the admin page.
+        $presets = array_merge( $presets, $this->custom_presets->get_script_presets() );
+
         /**
          * Filter mask presets.
          *
@@ -277,6 +644,141 @@ class Assets_Loader {
         return apply_filters( 'mfhf_mask_presets', $presets );
     }
 
+    /**
+     * Get national phone formats for the phone-intl preset.
+     *
+     * Keyed by ISO 3166-1 alpha-2 code. The mask covers the national number
+     * (without the dial code or trunk prefix) and lengths lists its valid digit counts.
+     * Extend the table through the mfhf_mask_presets filter (phone-intl → phone).
+     *
+     * @return array Phone countries array.
+     */
+    private function get_phone_countries(): array {
+        return array(
+            'PL' => array(
+                'code'    => '48',
+                'mask'    => '000 000 000',
+                'lengths' => array( 9 ),
+            ),
+            'DE' => array(
+                'code'    => '49',
+                'mask'    => '000 00000999',
+                'lengths' => array( 8, 9, 10, 11 ),
+            ),
+            'FR' => array(
+                'code'    => '33',
+                'mask'    => '0 00 00 00 00',
+                'lengths' => array( 9 ),
+            ),
+            'ES' => array(
+                'code'    => '34',
+                'mask'    => '000 000 000',
+                'lengths' => array( 9 ),
+            ),
+            'IT' => array(
+                'code'    => '39',
+                'mask'    => '000 000 00099',
+                'lengths' => array( 9, 10, 11 ),
+            ),
+            'NL' => array(
+                'code'    => '31',
+                'mask'    => '0 00000000',
+                'lengths' => array( 9 ),
+            ),
+            'AT' => array(
+                'code'    => '43',
+                'mask'    => '000 0000999999',
+                'lengths' => array( 7, 8, 9, 10, 11, 12, 13 ),
+            ),
+            'CZ' => array(
+                'code'    => '420',
+                'mask'    => '000 000 000',
+                'lengths' => array( 9 ),
+            ),
+            'SK' => array(
+                'code'    => '421',
+                'mask'    => '000 000 000',
+                'lengths' => array( 9 ),
+            ),
+            'UA' => array(
+                'code'    => '380',
+                'mask'    => '00 000 0000',
+                'lengths' => array( 9 ),
+            ),
+            'GB' => array(
+                'code'    => '44',
+                'mask'    => '0000 000000',
+                'lengths' => array( 10 ),
+            ),
+            'US' => array(
+                'code'    => '1',
+                'mask'    => '000 000 0000',
+                'lengths' => array( 10 ),
+            ),
+        );
+    }
+
+    /**
+     * Get card brands for the credit-card preset.
+     *
+     * Brands are matched in order against the card number's leading digits
+     * (IIN prefix); the first match sets the mask and the valid lengths.
+     *
+     * @return array Card brands array.
+     */
+    private function get_card_brands(): array {
+        $brands = array(
+            'amex'       => array(
+                'pattern' => '^3[47]',
+                'mask'    => '0000 000000 00000',
+                'lengths' => array( 15 ),
+            ),
+            'diners'     => array(
+                'pattern' => '^3(0[0-5]|[689])',
+                'mask'    => '0000 000000 000999',
+                'lengths' => array( 14, 15, 16 ),
+            ),
+            'visa'       => array(
+                'pattern' => '^4',
+                'mask'    => '0000 0000 0000 0000 999',
+                'lengths' => array( 16, 19 ),
+            ),
+            'mastercard' => array(
+                'pattern' => '^(5[1-5]|2(22[1-9]|2[3-9]|[3-6]|7[01]|720))',
+                'mask'    => '0000 0000 0000 0000',
+                'lengths' => array( 16 ),
+            ),
+            'discover'   => array(
+                'pattern' => '^(6011|64[4-9]|65)',
+                'mask'    => '0000 0000 0000 0000 999',
+                'lengths' => array( 16, 17, 18, 19 ),
+            ),
+            'jcb'        => array(
+                'pattern' => '^35(2[89]|[3-8])',
+                'mask'    => '0000 0000 0000 0000 999',
+                'lengths' => array( 16, 17, 18, 19 ),
+            ),
+            'unionpay'   => array(
+                'pattern' => '^62',
+                'mask'    => '0000 0000 0000 0000 999',
+                'lengths' => array( 16, 17, 18, 19 ),
+            ),
+            'maestro'    => array(
+                'pattern' => '^(5[06-9]|6)',
+                'mask'    => '0000 0000 0000 9999 999',
+                'lengths' => array( 12, 13, 14, 15, 16, 17, 18, 19 ),
+            ),
+        );
+
+        /**
+         * Filter card brands used by the credit-card preset.
+         *
+         * @since 1.1.0
+         * @param array $brands The card brands array.
+         */
+        return apply_filters( 'mfhf_card_brands', $brands );
+    }
+
     /**
      * Get the form detector instance.
      *
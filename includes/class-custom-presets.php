@@ -0,0 +1,367 @@
+<?php
+/**
+ * Custom presets class.
+ *
+ * Stores presets and mask translation characters defined by
+ * administrators on the plugin's admin page.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+namespace MaskForHtmlForms;
+
+// Prevent direct file access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Custom_Presets class.
+ *
+ * Reads, sanitizes and saves admin-defined presets and translations,
+ * and converts them to the format used by the JavaScript settings.
+ *
+ * @since 1.1.0
+ */
+class Custom_Presets {
+
+    /**
+     * Option key for custom presets.
+     *
+     * @var string
+     */
+    const OPTION_PRESETS = 'mfhf_custom_presets';
+
+    /**
+     * Option key for custom translation characters.
+     *
+     * @var string
+     */
+    const OPTION_TRANSLATIONS = 'mfhf_custom_translations';
+
+    /**
+     * Built-in characters, jQuery Mask's and the plugin's P, that custom translations cannot replace.
+     *
+     * @var string[]
+     */
+    const RESERVED_CHARACTERS = array( '0', '9', '#', 'A', 'S', 'P' );
+
+    /**
+     * Names of the presets in Assets_Loader::get_mask_presets(), which custom presets cannot replace.
+     *
+     * @var string[]
+     */
+    const RESERVED_PRESETS = array(
+        'phone-pl',
+        'phone-pl-intl',
+        'phone-intl',
+        'postal-pl',
+        'pesel',
+        'nip',
+        'regon',
+        'date-eu',
+        'date-iso',
+        'time-24',
+        'credit-card',
+        'currency-pln',
+        'currency-eur',
+        'currency-usd',
+        'decimal',
+        'percent',
+        'iban-pl',
+    );
+
+    /**
+     * Get stored custom presets.
+     *
+     * @return array Presets keyed by name, each with mask, placeholder, error, validator and option flags.
+     */
+    public function get_presets(): array {
+        $presets = get_option( self::OPTION_PRESETS, array() );
+
+        if ( ! is_array( $presets ) ) {
+            return array();
+        }
+
+        $presets = array_filter(
+            $presets,
+            function ( $name ) {
+                return $this->is_valid_name( (string) $name );
+            },
+            ARRAY_FILTER_USE_KEY
+        );
+
+        return array_map( array( $this, 'sanitize_preset' ), $presets );
+    }
+
+    /**
+     * Get a single stored custom preset.
+     *
+     * @param string $name Preset name.
+     * @return array|null Preset or null when not found.
+     */
+    public function get_preset( string $name ): ?array {
+        $presets = $this->get_presets();
+
+        return $presets[ $name ] ?? null;
+    }
+
+    /**
+     * Save a custom preset.
+     *
+     * @param string $name   Preset name.
+     * @param array  $preset Preset data.
+     * @return bool True when the preset was valid and saved.
+     */
+    public function save_preset( string $name, array $preset ): bool {
+        $name   = sanitize_key( $name );
+        $preset = $this->sanitize_preset( $preset );
+
+        if ( ! $this->is_valid_name( $name ) || '' === $preset['mask'] ) {
+            return false;
+        }
+
+        $presets          = $this->get_presets();
+        $presets[ $name ] = $preset;
+
+        update_option( self::OPTION_PRESETS, $presets );
+
+        return true;
+    }
+
+    /**
+     * Delete a custom preset.
+     *
+     * @param string $name Preset name.
+     * @return void
+     */
+    public function delete_preset( string $name ): void {
+        $presets = $this->get_presets();
+
+        unset( $presets[ $name ] );
+
+        update_option( self::OPTION_PRESETS, $presets );
+    }
+
+    /**
+     * Sanitize a custom preset.
+     *
+     * @param mixed $preset Raw preset data.
+     * @return array Sanitized preset.
+     */
+    public function sanitize_preset( $preset ): array {
+        $preset    = is_array( $preset ) ? $preset : array();
+        $validator = sanitize_key( $preset['validator'] ?? '' );
+
+        if ( ! array_key_exists( $validator, $this->get_validators() ) ) {
+            $validator = '';
+        }
+
+        return array(
+            'mask'               => $this->sanitize_pattern( $preset['mask'] ?? '' ),
+            'placeholder'        => sanitize_text_field( $preset['placeholder'] ?? '' ),
+            'error'              => sanitize_text_field( $preset['error'] ?? '' ),
+            'validator'          => $validator,
+            'reverse'            => ! empty( $preset['reverse'] ),
+            'clear_if_not_match' => ! empty( $preset['clear_if_not_match'] ),
+            'select_on_focus'    => ! empty( $preset['select_on_focus'] ),
+        );
+    }
+
+    /**
+     * Get stored custom translation characters.
+     *
+     * @return array Translations keyed by character, each with pattern, optional and recursive.
+     */
+    public function get_translations(): array {
+        $translations = get_option( self::OPTION_TRANSLATIONS, array() );
+
+        if ( ! is_array( $translations ) ) {
+            return array();
+        }
+
+        $translations = array_filter(
+            $translations,
+            function ( $character ) {
+                return $this->is_valid_character( (string) $character );
+            },
+            ARRAY_FILTER_USE_KEY
+        );
+
+        return array_map( array( $this, 'sanitize_translation' ), $translations );
+    }
+
+    /**
+     * Save a custom translation character.
+     *
+     * @param string $character   Single mask character.
+     * @param array  $translation Translation data.
+     * @return bool True when the translation was valid and saved.
+     */
+    public function save_translation( string $character, array $translation ): bool {
+        $translation = $this->sanitize_translation( $translation );
+
+        if ( ! $this->is_valid_character( $character ) || ! $this->is_valid_pattern( $translation['pattern'] ) ) {
+            return false;
+        }
+
+        $translations               = $this->get_translations();
+        $translations[ $character ] = $translation;
+
+        update_option( self::OPTION_TRANSLATIONS, $translations );
+
+        return true;
+    }
+
+    /**
+     * Delete a custom translation character.
+     *
+     * @param string $character Mask character.
+     * @return void
+     */
+    public function delete_translation( string $character ): void {
+        $translations = $this->get_translations();
+
+        unset( $translations[ $character ] );
+
+        update_option( self::OPTION_TRANSLATIONS, $translations );
+    }
+
+    /**
+     * Sanitize a custom translation.
+     *
+     * @param mixed $translation Raw translation data.
+     * @return array Sanitized translation.
+     */
+    public function sanitize_translation( $translation ): array {
+        $translation = is_array( $translation ) ? $translation : array();
+
+        return array(
+            'pattern'   => $this->sanitize_pattern( $translation['pattern'] ?? '' ),
+            'optional'  => ! empty( $translation['optional'] ),
+            'recursive' => ! empty( $translation['recursive'] ),
+        );
+    }
+
+    /**
+     * Sanitize a mask or a character pattern.
+     *
+     * Unlike sanitize_text_field(), keeps <, >, % and repeated spaces, which
+     * are valid in both; only invalid UTF-8 and control characters are removed.
+     *
+     * @param mixed $value Raw mask or pattern.
+     * @return string Sanitized value.
+     */
+    public function sanitize_pattern( $value ): string {
+        $value = wp_check_invalid_utf8( is_scalar( $value ) ? (string) $value : '' );
+
+        return trim( preg_replace( '/[\x00-\x1F\x7F]/', '', $value ) );
+    }
+
+    /**
+     * Check that a preset name is not empty and not the name of a built-in preset.
+     *
+     * @param string $name Preset name.
+     * @return bool True when valid.
+     */
+    public function is_valid_name( string $name ): bool {
+        return '' !== $name && ! in_array( $name, self::RESERVED_PRESETS, true );
+    }
+
+    /**
+     * Check that a translation key is a single, non-whitespace character
+     * other than a built-in one.
+     *
+     * @param string $character Mask character.
+     * @return bool True when valid.
+     */
+    public function is_valid_character( string $character ): bool {
+        return 1 === mb_strlen( $character ) && '' !== trim( $character ) && ! in_array( $character, self::RESERVED_CHARACTERS, true );
+    }
+
+    /**
+     * Check that a translation pattern compiles as a regular expression.
+     *
+     * The admin page also compiles it with JavaScript's RegExp before saving,
+     * as PCRE accepts syntax that browsers reject.
+     *
+     * @param string $pattern Pattern without delimiters, e.g. [a-z].
+     * @return bool True when valid.
+     */
+    public function is_valid_pattern( string $pattern ): bool {
+        if ( '' === $pattern ) {
+            return false;
+        }
+
+        set_error_handler(
+            static function () {
+                return true;
+            }
+        );
+
+        $result = preg_match( '/' . str_replace( '/', '\/', $pattern ) . '/u', '' );
+
+        restore_error_handler();
+
+        return false !== $result && PREG_NO_ERROR === preg_last_error();
+    }
+
+    /**
+     * Get validators that can be assigned to a custom preset.
+     *
+     * @return array Validator labels keyed by validator name.
+     */
+    public function get_validators(): array {
+        return array(
+            ''         => __( 'None', 'mask-for-html-forms' ),
+            'pesel'    => __( 'PESEL checksum', 'mask-for-html-forms' ),
+            'nip'      => __( 'NIP checksum', 'mask-for-html-forms' ),
+            'regon'    => __( 'REGON checksum', 'mask-for-html-forms' ),
+            'iban'     => __( 'IBAN checksum', 'mask-for-html-forms' ),
+            'luhn'     => __( 'Luhn checksum', 'mask-for-html-forms' ),
+            'card'     => __( 'Card number (brand lengths and Luhn)', 'mask-for-html-forms' ),
+            'date-eu'  => __( 'Date DD/MM/YYYY', 'mask-for-html-forms' ),
+            'date-iso' => __( 'Date YYYY-MM-DD', 'mask-for-html-forms' ),
+            'time-24'  => __( 'Time HH:MM', 'mask-for-html-forms' ),
+        );
+    }
+
+    /**
+     * Get custom presets in the JavaScript preset format.
+     *
+     * @return array Presets keyed by name with mask, options, validator and error.
+     */
+    public function get_script_presets(): array {
+        $presets = array();
+
+        foreach ( $this->get_presets() as $name => $preset ) {
+            $options = array();
+
+            if ( '' !== $preset['placeholder'] ) {
+                $options['placeholder'] = $preset['placeholder'];
+            }
+
+            if ( $preset['reverse'] ) {
+                $options['reverse'] = true;
+            }
+
+            if ( $preset['clear_if_not_match'] ) {
+                $options['clearIfNotMatch'] = true;
+            }
+
+            if ( $preset['select_on_focus'] ) {
+                $options['selectOnFocus'] = true;
+            }
+
+            $presets[ $name ] = array(
+                'mask'      => $preset['mask'],
+                'options'   => $options,
+                'validator' => $preset['validator'],
+                'error'     => $preset['error'],
+            );
+        }
+
+        return $presets;
+    }
+}
@@ -39,6 +39,20 @@ class Form_Detector {
      */
     private bool $detection_done = false;
 
+    /**
+     * Flag indicating if a rendered form uses client-side validation attributes.
+     *
+     * @var bool
+     */
+    private bool $validation_markup = false;
+
+    /**
+     * Attributes that need the validation of the jQuery engine.
+     *
+     * @var string[]
+     */
+    const VALIDATION_ATTRIBUTES = array( 'data-mask-depends-on', 'data-mask-show-error', 'data-mask-error-summary' );
+
     /**
      * Constructor.
      *
@@ -75,6 +89,13 @@ class Form_Detector {
         $this->form_detected  = true;
         $this->detection_done = true;
 
+        foreach ( self::VALIDATION_ATTRIBUTES as $attribute ) {
+            if ( false !== strpos( $html, $attribute ) ) {
+                $this->validation_markup = true;
+                break;
+            }
+        }
+
         return $html;
     }
 
@@ -127,6 +148,17 @@ class Form_Detector {
         return $this->form_detected;
     }
 
+    /**
+     * Check if a rendered form uses conditional masks or the inline error and error summary attributes.
+     *
+     * Only forms rendered through hf_form_html are checked.
+     *
+     * @return bool True when such a form was rendered.
+     */
+    public function has_validation_markup(): bool {
+        return $this->validation_markup;
+    }
+
     /**
      * Force detection status.
      *
@@ -148,7 +180,8 @@ class Form_Detector {
      * @return void
      */
     public function reset(): void {
-        $this->form_detected  = false;
-        $this->detection_done = false;
+        $this->form_detected     = false;
+        $this->detection_done    = false;
+        $this->validation_markup = false;
     }
 }
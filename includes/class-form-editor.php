@@ -0,0 +1,194 @@
+<?php
+/**
+ * Form editor class.
+ *
+ * Adds a "Masked field" helper to the HTML Forms form editor.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+namespace MaskForHtmlForms;
+
+// Prevent direct file access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Form_Editor class.
+ *
+ * Renders a helper next to the HTML Forms field builder that builds a
+ * masked <input> with data-mask-* attributes and inserts it into the
+ * form markup. The preview runs mask-init.js.
+ *
+ * @since 1.1.0
+ */
+class Form_Editor {
+
+    /**
+     * Script handle for the form editor helper.
+     *
+     * @var string
+     */
+    const SCRIPT_HANDLE = 'mfhf-form-editor';
+
+    /**
+     * Assets loader instance.
+     *
+     * @var Assets_Loader
+     */
+    private Assets_Loader $assets_loader;
+
+    /**
+     * Constructor.
+     *
+     * @param Assets_Loader $assets_loader The assets loader instance.
+     */
+    public function __construct( Assets_Loader $assets_loader ) {
+        $this->assets_loader = $assets_loader;
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize WordPress admin hooks.
+     *
+     * @return void
+     */
+    private function init_hooks(): void {
+        add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+        add_action( 'admin_footer', array( $this, 'render_helper' ) );
+    }
+
+    /**
+     * Check whether the current screen is the HTML Forms form editor.
+     *
+     * @return bool True on the form edit screen.
+     */
+    private function is_form_editor(): bool {
+        $page = isset( $_GET['page'] ) ? sanitize_key( wp_unslash( $_GET['page'] ) ) : '';
+        $view = isset( $_GET['view'] ) ? sanitize_key( wp_unslash( $_GET['view'] ) ) : '';
+
+        /**
+         * Filter whether the masked field helper is shown on the current screen.
+         *
+         * @since 1.1.0
+         * @param bool $is_editor True on the HTML Forms form edit screen.
+         */
+        return (bool) apply_filters( 'mfhf_show_field_helper', 'html-forms' === $page && 'edit' === $view );
+    }
+
+    /**
+     * Enqueue the helper script and styles on the form editor.
+     *
+     * @return void
+     */
+    public function enqueue_assets(): void {
+        if ( ! $this->is_form_editor() ) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'mfhf-admin',
+            MFHF_PLUGIN_URL . 'assets/css/admin.css',
+            array(),
+            MFHF_VERSION
+        );
+
+        // form-editor.js masks the helper's preview input with mfhf-mask-init.
+        $this->assets_loader->register_scripts();
+
+        wp_enqueue_script(
+            self::SCRIPT_HANDLE,
+            MFHF_PLUGIN_URL . 'assets/js/form-editor.js',
+            array( 'jquery', Assets_Loader::INIT_SCRIPT_HANDLE ),
+            MFHF_VERSION,
+            true
+        );
+    }
+
+    /**
+     * Render the masked field helper.
+     *
+     * It is printed in the footer and moved next to the field builder by form-editor.js.
+     *
+     * @return void
+     */
+    public function render_helper(): void {
+        if ( ! $this->is_form_editor() ) {
+            return;
+        }
+
+        $settings = $this->assets_loader->get_script_settings();
+        $presets  = (array) ( $settings['presets'] ?? array() );
+        $formats  = array(
+            'masked' => __( 'Masked value', 'mask-for-html-forms' ),
+            'clean'  => __( 'Clean value', 'mask-for-html-forms' ),
+            'both'   => __( 'Both (adds a <name>_raw field)', 'mask-for-html-forms' ),
+        );
+        $default  = (string) ( $settings['submitFormat'] ?? 'masked' );
+        ?>
+        <div id="mfhf-field-helper" class="mfhf-field-helper" hidden>
+            <h3><?php esc_html_e( 'Masked field', 'mask-for-html-forms' ); ?></h3>
+
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><label for="mfhf-field-label"><?php esc_html_e( 'Field label', 'mask-for-html-forms' ); ?></label></th>
+                    <td><input type="text" id="mfhf-field-label" class="regular-text" /></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="mfhf-field-name"><?php esc_html_e( 'Field name', 'mask-for-html-forms' ); ?></label></th>
+                    <td><input type="text" id="mfhf-field-name" class="regular-text code" placeholder="phone" /></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="mfhf-field-preset"><?php esc_html_e( 'Mask', 'mask-for-html-forms' ); ?></label></th>
+                    <td>
+                        <select id="mfhf-field-preset">
+                            <?php foreach ( $presets as $name => $preset ) : ?>
+                                <option value="<?php echo esc_attr( $name ); ?>">
+                                    <?php echo esc_html( ! empty( $preset['mask'] ) ? $name . ' (' . $preset['mask'] . ')' : $name ); ?>
+                                </option>
+                            <?php endforeach; ?>
+                            <option value=""><?php esc_html_e( 'Custom mask', 'mask-for-html-forms' ); ?></option>
+                        </select>
+                        <input type="text" id="mfhf-field-mask" class="code" placeholder="000-000" hidden />
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="mfhf-field-submit"><?php esc_html_e( 'Submitted value', 'mask-for-html-forms' ); ?></label></th>
+                    <td>
+                        <select id="mfhf-field-submit">
+                            <option value="">
+                                <?php
+                                /* translators: %s: submit format selected on the plugin settings page */
+                                echo esc_html( sprintf( __( 'Site default: %s', 'mask-for-html-forms' ), $formats[ $default ] ?? $default ) );
+                                ?>
+                            </option>
+                            <?php foreach ( $formats as $format => $label ) : ?>
+                                <option value="<?php echo esc_attr( $format ); ?>"><?php echo esc_html( $label ); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Errors', 'mask-for-html-forms' ); ?></th>
+                    <td>
+                        <label><input type="checkbox" id="mfhf-field-required" /> <?php esc_html_e( 'Required field', 'mask-for-html-forms' ); ?></label><br />
+                        <label><input type="checkbox" id="mfhf-field-show-error" /> <?php esc_html_e( 'Show inline error messages under the field', 'mask-for-html-forms' ); ?></label><br />
+                        <input type="text" id="mfhf-field-error" class="regular-text" placeholder="<?php esc_attr_e( 'Custom error message (optional)', 'mask-for-html-forms' ); ?>" />
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="mfhf-field-preview"><?php esc_html_e( 'Preview', 'mask-for-html-forms' ); ?></label></th>
+                    <td><input type="text" id="mfhf-field-preview" class="regular-text" autocomplete="off" /></td>
+                </tr>
+            </table>
+
+            <p><code class="mfhf-field-snippet"></code></p>
+            <p>
+                <button type="button" class="button button-primary mfhf-field-insert"><?php esc_html_e( 'Add to form', 'mask-for-html-forms' ); ?></button>
+            </p>
+        </div>
+        <?php
+    }
+}
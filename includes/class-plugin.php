@@ -46,6 +46,27 @@ final class Plugin {
      */
     private ?Form_Detector $form_detector = null;
 
+    /**
+     * Custom presets instance.
+     *
+     * @var Custom_Presets|null
+     */
+    private ?Custom_Presets $custom_presets = null;
+
+    /**
+     * Server validator instance.
+     *
+     * @var Server_Validator|null
+     */
+    private ?Server_Validator $server_validator = null;
+
+    /**
+     * Form editor instance.
+     *
+     * @var Form_Editor|null
+     */
+    private ?Form_Editor $form_editor = null;
+
     /**
      * Admin page instance.
      *
@@ -80,7 +101,10 @@ final class Plugin {
      */
     private function load_dependencies(): void {
         require_once MFHF_PLUGIN_DIR . 'includes/class-form-detector.php';
+        require_once MFHF_PLUGIN_DIR . 'includes/class-custom-presets.php';
         require_once MFHF_PLUGIN_DIR . 'includes/class-assets-loader.php';
+        require_once MFHF_PLUGIN_DIR . 'includes/class-server-validator.php';
+        require_once MFHF_PLUGIN_DIR . 'includes/class-form-editor.php';
         require_once MFHF_PLUGIN_DIR . 'includes/class-admin-page.php';
     }
 
@@ -90,9 +114,12 @@ final class Plugin {
      * @return void
      */
     private function init_components(): void {
-        $this->form_detector = new Form_Detector();
-        $this->assets_loader = new Assets_Loader( $this->form_detector );
-        $this->admin_page    = new Admin_Page();
+        $this->form_detector    = new Form_Detector();
+        $this->custom_presets   = new Custom_Presets();
+        $this->assets_loader    = new Assets_Loader( $this->form_detector, $this->custom_presets );
+        $this->server_validator = new Server_Validator( $this->assets_loader );
+        $this->form_editor      = new Form_Editor( $this->assets_loader );
+        $this->admin_page       = new Admin_Page( $this->assets_loader, $this->custom_presets );
     }
 
     /**
@@ -113,6 +140,33 @@ final class Plugin {
         return $this->form_detector;
     }
 
+    /**
+     * Get the custom presets instance.
+     *
+     * @return Custom_Presets The custom presets.
+     */
+    public function get_custom_presets(): Custom_Presets {
+        return $this->custom_presets;
+    }
+
+    /**
+     * Get the server validator instance.
+     *
+     * @return Server_Validator The server validator.
+     */
+    public function get_server_validator(): Server_Validator {
+        return $this->server_validator;
+    }
+
+    /**
+     * Get the form editor instance.
+     *
+     * @return Form_Editor The form editor.
+     */
+    public function get_form_editor(): Form_Editor {
+        return $this->form_editor;
+    }
+
     /**
      * Get the admin page instance.
      *
@@ -0,0 +1,1609 @@
+<?php
+/**
+ * Server validator class.
+ *
+ * Checks masked fields of submitted HTML Forms forms on the server,
+ * so values that bypass the JavaScript masks are still rejected.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+namespace MaskForHtmlForms;
+
+// Prevent direct file access.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Server_Validator class.
+ *
+ * Reads data-mask and data-mask-preset fields from the form markup and
+ * checks submitted values with the presets, translations and messages
+ * passed to mask-init.js. Its labels, completeness counts, validators and
+ * messages follow MaskForHtmlForms in mask-init.js, so the server and the
+ * browser report the same errors (see tests/fixtures/validation.json).
+ *
+ * @since 1.1.0
+ */
+class Server_Validator {
+
+    /**
+     * HTML Forms error code for invalid masked fields.
+     *
+     * @var string
+     */
+    const ERROR_CODE = 'mfhf_invalid_mask';
+
+    /**
+     * Assets loader instance.
+     *
+     * @var Assets_Loader
+     */
+    private Assets_Loader $assets_loader;
+
+    /**
+     * Script settings, loaded on first use.
+     *
+     * @var array|null
+     */
+    private ?array $settings = null;
+
+    /**
+     * Errors of the last validated submission.
+     *
+     * @var array
+     */
+    private array $errors = array();
+
+    /**
+     * Constructor.
+     *
+     * @param Assets_Loader $assets_loader The assets loader instance.
+     */
+    public function __construct( Assets_Loader $assets_loader ) {
+        $this->assets_loader = $assets_loader;
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize WordPress hooks.
+     *
+     * @return void
+     */
+    private function init_hooks(): void {
+        add_filter( 'hf_validate_form', array( $this, 'validate_submission' ), 10, 3 );
+        add_filter( 'hf_form_message_' . self::ERROR_CODE, array( $this, 'get_error_message' ) );
+    }
+
+    /**
+     * Validate masked fields of an HTML Forms submission.
+     *
+     * @param string $error_code Error code from earlier checks, empty when valid.
+     * @param object $form       The form object.
+     * @param array  $data       Submitted data.
+     * @return string Error code, mfhf_invalid_mask when a masked field is invalid.
+     */
+    public function validate_submission( $error_code, $form, $data ) {
+        if ( ! empty( $error_code ) || empty( $form->markup ) ) {
+            return $error_code;
+        }
+
+        /**
+         * Filter whether masked fields of a form are validated on the server.
+         *
+         * @since 1.1.0
+         * @param bool   $enabled Whether to validate. Default true.
+         * @param object $form    The form object.
+         */
+        if ( ! apply_filters( 'mfhf_server_validation_enabled', true, $form ) ) {
+            return $error_code;
+        }
+
+        $errors = $this->validate_fields( $this->get_masked_fields( (string) $form->markup ), (array) $data );
+
+        /**
+         * Filter server-side errors of masked fields.
+         *
+         * @since 1.1.0
+         * @param array  $errors Errors with name, label, code and message.
+         * @param object $form   The form object.
+         * @param array  $data   Submitted data.
+         */
+        $this->errors = (array) apply_filters( 'mfhf_server_validation_errors', $errors, $form, $data );
+
+        return empty( $this->errors ) ? $error_code : self::ERROR_CODE;
+    }
+
+    /**
+     * Build the HTML Forms error message from the field errors.
+     *
+     * @param string $message Message configured for the error code.
+     * @return string Message listing every invalid field.
+     */
+    public function get_error_message( $message ): string {
+        if ( empty( $this->errors ) ) {
+            return (string) $message;
+        }
+
+        $rule  = array( 'locale' => $this->errors[0]['locale'] ?? '' );
+        $lines = array( esc_html( $this->get_message( 'errorSummaryTitle', __( 'Please correct the following errors:', 'mask-for-html-forms' ), $rule ) ) );
+
+        foreach ( $this->errors as $error ) {
+            $lines[] = esc_html( $error['label'] . ': ' . $error['message'] );
+        }
+
+        return implode( '<br />', $lines );
+    }
+
+    /**
+     * Get the errors of the last validated submission.
+     *
+     * @return array Errors with name, label, code and message.
+     */
+    public function get_errors(): array {
+        return $this->errors;
+    }
+
+    /**
+     * Find enabled masked fields in form markup.
+     *
+     * @param string $markup Form markup.
+     * @return array Fields with name, label and attributes.
+     */
+    public function get_masked_fields( string $markup ): array {
+        if ( '' === trim( $markup ) || ! class_exists( '\DOMDocument' ) ) {
+            return array();
+        }
+
+        $document = new \DOMDocument();
+        $previous = libxml_use_internal_errors( true );
+
+        $document->loadHTML( '<?xml encoding="UTF-8"?><body>' . $markup . '</body>' );
+
+        libxml_clear_errors();
+        libxml_use_internal_errors( $previous );
+
+        $xpath  = new \DOMXPath( $document );
+        $fields = array();
+        $nodes  = $xpath->query( '//*[(self::input or self::textarea) and (@data-mask or @data-mask-preset or @data-mask-depends-on)]' );
+
+        foreach ( $nodes as $node ) {
+            $attributes = array();
+
+            foreach ( $node->attributes as $attribute ) {
+                $attributes[ strtolower( $attribute->name ) ] = $attribute->value;
+            }
+
+            if ( empty( $attributes['name'] ) || isset( $attributes['disabled'] ) ) {
+                continue;
+            }
+
+            $fields[] = array(
+                'name'       => $attributes['name'],
+                'label'      => $this->get_field_label( $xpath, $node, $attributes ),
+                'locale'     => $this->get_field_locale( $xpath, $node ),
+                'attributes' => $attributes,
+            );
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Get the locale of a field from the closest data-mask-locale or lang attribute.
+     *
+     * @since 1.1.0
+     * @param \DOMXPath   $xpath XPath of the form document.
+     * @param \DOMElement $node  Field element.
+     * @return string Locale, empty for the site locale.
+     */
+    private function get_field_locale( \DOMXPath $xpath, \DOMElement $node ): string {
+        $source = $xpath->query( 'ancestor-or-self::*[@data-mask-locale or @lang][1]', $node )->item( 0 );
+
+        if ( ! $source instanceof \DOMElement ) {
+            return '';
+        }
+
+        return $source->hasAttribute( 'data-mask-locale' ) ? $source->getAttribute( 'data-mask-locale' ) : $source->getAttribute( 'lang' );
+    }
+
+    /**
+     * Get a readable field label.
+     *
+     * Uses the label linked with for/id or the wrapping label without its
+     * controls and live regions, then aria-label, then the field name.
+     *
+     * @param \DOMXPath   $xpath      XPath of the form document.
+     * @param \DOMElement $node       Field element.
+     * @param array       $attributes Field attributes.
+     * @return string Label text, falling back to the field name.
+     */
+    private function get_field_label( \DOMXPath $xpath, \DOMElement $node, array $attributes ): string {
+        $label = null;
+
+        if ( ! empty( $attributes['id'] ) ) {
+            foreach ( $xpath->query( '//label[@for]' ) as $candidate ) {
+                if ( $candidate->getAttribute( 'for' ) === $attributes['id'] ) {
+                    $label = $candidate;
+                    break;
+                }
+            }
+        }
+
+        if ( null === $label ) {
+            $wrapping = $xpath->query( 'ancestor::label', $node );
+            $label    = $wrapping->length ? $wrapping->item( 0 ) : null;
+        }
+
+        $text = '';
+
+        if ( null !== $label ) {
+            // Wrapping labels also contain the control and its inline error.
+            $clone = $label->cloneNode( true );
+
+            foreach ( iterator_to_array( $clone->getElementsByTagName( '*' ) ) as $child ) {
+                if ( in_array( strtolower( $child->nodeName ), array( 'input', 'select', 'textarea' ), true ) || $child->hasAttribute( 'aria-live' ) ) {
+                    $child->parentNode->removeChild( $child );
+                }
+            }
+
+            $text = trim( preg_replace( '/\s+/u', ' ', $clone->textContent ) );
+        }
+
+        if ( '' !== $text ) {
+            return $text;
+        }
+
+        return $attributes['aria-label'] ?? $attributes['name'];
+    }
+
+    /**
+     * Validate submitted values of masked fields.
+     *
+     * @param array $fields Fields from get_masked_fields().
+     * @param array $data   Submitted data.
+     * @return array Errors with name, label, code and message.
+     */
+    public function validate_fields( array $fields, array $data ): array {
+        $errors = array();
+
+        foreach ( $fields as $field ) {
+            $error = $this->validate_field( $field, $data );
+
+            if ( null !== $error ) {
+                $errors[] = $error;
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate the submitted value of one masked field.
+     *
+     * Empty values pass: HTML Forms checks required fields itself.
+     * Multi-mask fields pass when any of their presets accepts the value.
+     *
+     * @param array $field Field from get_masked_fields().
+     * @param array $data  Submitted data.
+     * @return array|null Error with name, label, code and message, or null when valid.
+     */
+    public function validate_field( array $field, array $data ): ?array {
+        $value = $this->get_submitted_value( $field['name'], $data );
+
+        if ( null === $value || '' === trim( $value ) ) {
+            return null;
+        }
+
+        $error = null;
+
+        foreach ( $this->get_field_rules( $field, $data ) as $rule ) {
+            $error = $this->check_value( $value, $rule, $field, $data );
+
+            if ( null === $error ) {
+                return null;
+            }
+        }
+
+        if ( null === $error ) {
+            return null;
+        }
+
+        return array(
+            'name'    => $field['name'],
+            'label'   => $field['label'],
+            'locale'  => $field['locale'] ?? '',
+            'code'    => $error['code'],
+            'message' => $error['message'],
+        );
+    }
+
+    /**
+     * Read a submitted value by field name, including names such as contact[phone].
+     *
+     * @param string $name Field name.
+     * @param array  $data Submitted data.
+     * @return string|null Value or null when missing or not a string.
+     */
+    private function get_submitted_value( string $name, array $data ): ?string {
+        $path  = preg_split( '/[\[\]]+/', rtrim( $name, ']' ) );
+        $value = $data;
+
+        foreach ( $path as $key ) {
+            if ( ! is_array( $value ) || ! array_key_exists( $key, $value ) ) {
+                return null;
+            }
+
+            $value = $value[ $key ];
+        }
+
+        return is_scalar( $value ) ? (string) $value : null;
+    }
+
+    /**
+     * Get the mask rules a field accepts.
+     *
+     * @param array $field Field from get_masked_fields().
+     * @param array $data  Submitted data.
+     * @return array Rules with mask, validator, number, card_brands, phone, reverse, messages and error.
+     */
+    private function get_field_rules( array $field, array $data ): array {
+        $attributes = $field['attributes'];
+        $names      = array();
+        $mask       = $attributes['data-mask'] ?? '';
+
+        if ( isset( $attributes['data-mask-depends-on'] ) ) {
+            $target = $this->get_dependent_target( $attributes, $data );
+            $mask   = '';
+
+            if ( null !== $this->get_preset( $target ) ) {
+                $names = array( $target );
+            } else {
+                $mask = $target;
+            }
+        } elseif ( isset( $attributes['data-mask-preset'] ) ) {
+            $names = array_map( 'trim', explode( '|', $attributes['data-mask-preset'] ) );
+        }
+
+        $rules = array();
+
+        foreach ( $names as $name ) {
+            $preset = $this->get_preset( $name );
+
+            if ( null !== $preset ) {
+                $rules[] = $this->build_rule( $preset, $attributes, $field['locale'] ?? '' );
+            }
+        }
+
+        if ( empty( $names ) && '' !== $mask ) {
+            $rules[] = $this->build_rule( array( 'mask' => $mask ), $attributes, $field['locale'] ?? '' );
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Resolve the mask or preset of a data-mask-depends-on field.
+     *
+     * @param array $attributes Field attributes.
+     * @param array $data       Submitted data.
+     * @return string Mask or preset name, empty when the map has no match.
+     */
+    private function get_dependent_target( array $attributes, array $data ): string {
+        $map = json_decode( $attributes['data-mask-map'] ?? '', true );
+
+        if ( ! is_array( $map ) ) {
+            return '';
+        }
+
+        $value = (string) $this->get_submitted_value( $attributes['data-mask-depends-on'], $data );
+
+        if ( isset( $map[ $value ] ) ) {
+            return (string) $map[ $value ];
+        }
+
+        return isset( $map['*'] ) ? (string) $map['*'] : '';
+    }
+
+    /**
+     * Combine a preset with the field's own attributes.
+     *
+     * @param array  $preset     Resolved preset.
+     * @param array  $attributes Field attributes.
+     * @param string $locale     Field locale, empty for the site locale.
+     * @return array Rule.
+     */
+    private function build_rule( array $preset, array $attributes, string $locale = '' ): array {
+        return array(
+            'mask'        => (string) ( $preset['mask'] ?? '' ),
+            'validator'   => $attributes['data-mask-validator'] ?? ( $preset['validator'] ?? '' ),
+            'number'      => ! empty( $preset['number'] ) ? $this->get_number_format( (array) $preset['number'] ) : null,
+            'card_brands' => ! empty( $preset['cardBrands'] ),
+            'phone'       => ! empty( $preset['phone'] ) ? (array) $preset['phone'] : null,
+            'reverse'     => isset( $attributes['data-mask-reverse'] )
+                ? ! in_array( strtolower( $attributes['data-mask-reverse'] ), array( 'false', '0', 'no' ), true )
+                : ! empty( $preset['options']['reverse'] ),
+            'messages'    => isset( $preset['messages'] ) ? (array) $preset['messages'] : array(),
+            'error'       => ! empty( $attributes['data-mask-error'] ) ? $attributes['data-mask-error'] : ( $preset['error'] ?? '' ),
+            'locale'      => $locale,
+        );
+    }
+
+    /**
+     * Check a value against one rule: mask fit, completeness, then the validator.
+     *
+     * @param string $value Submitted value.
+     * @param array  $rule  Rule from build_rule().
+     * @param array  $field Field from get_masked_fields().
+     * @param array  $data  Submitted data.
+     * @return array|null Error with code and message, or null when valid.
+     */
+    private function check_value( string $value, array $rule, array $field, array $data ): ?array {
+        $field['rule'] = $rule;
+        $field['data'] = $data;
+
+        if ( null !== $rule['number'] ) {
+            $clean = $this->get_number_value( $value, $rule['number'] );
+
+            if ( null === $clean ) {
+                return $this->get_error( 'invalidGeneric', __( 'Invalid value for this field', 'mask-for-html-forms' ), array(), $rule );
+            }
+
+            return $this->run_validator( $clean, $field );
+        }
+
+        $mask    = $rule['mask'];
+        $country = null;
+
+        if ( $rule['card_brands'] ) {
+            $brand = $this->detect_card_brand( $value );
+            $mask  = $brand ? $brand['mask'] : $mask;
+        }
+
+        if ( null !== $rule['phone'] ) {
+            $country = $this->detect_phone_country( $value, $field );
+            $mask    = $country ? $this->get_phone_mask( $country, $field ) : $mask;
+        }
+
+        if ( '' === $mask ) {
+            return $this->run_validator( $value, $field );
+        }
+
+        if ( null !== $rule['phone'] ) {
+            $value = $this->get_national_phone_value( $value, $country, $field );
+        }
+
+        $translation = $this->get_translation();
+        $clean       = $this->match_mask( $mask, $value, $translation, $rule['reverse'] );
+
+        if ( null === $clean ) {
+            return $this->get_mask_error( $mask, $value, $translation, $rule );
+        }
+
+        if ( null !== $rule['phone'] ) {
+            $companion = $country && $this->get_phone_country_from_control( $field );
+            $clean     = '+' . ( $companion ? $country['code'] : '' ) . preg_replace( '/\D/', '', $clean );
+        }
+
+        return $this->run_validator( $clean, $field );
+    }
+
+    /**
+     * Describe why a value does not fit its mask.
+     *
+     * @param string $mask        Mask pattern.
+     * @param string $value       Submitted value.
+     * @param array  $translation Translation table.
+     * @param array  $rule        Rule from build_rule().
+     * @return array Error with code and message.
+     */
+    private function get_mask_error( string $mask, string $value, array $translation, array $rule ): array {
+        $lengths = $this->get_mask_lengths( $mask, $translation );
+        $current = $this->count_token_chars( $mask, $value, $translation );
+
+        if ( $current < $lengths['min'] ) {
+            $missing = $lengths['min'] - $current;
+
+            /* translators: %s: number of missing characters */
+            return $this->get_error( 'incomplete', _n( 'Complete the format (missing %s character)', 'Complete the format (missing %s characters)', $missing, 'mask-for-html-forms' ), array( $missing ), $rule );
+        }
+
+        if ( $current > $lengths['max'] ) {
+            /* translators: %s: maximum number of characters */
+            return $this->get_error( 'tooLong', _n( 'Please enter no more than %s character', 'Please enter no more than %s characters', $lengths['max'], 'mask-for-html-forms' ), array( $lengths['max'] ), $rule );
+        }
+
+        return $this->get_error( 'invalidGeneric', __( 'Invalid value for this field', 'mask-for-html-forms' ), array(), $rule );
+    }
+
+    /**
+     * Run the rule's validator on a clean value.
+     *
+     * @param string $value Clean value.
+     * @param array  $field Field with its rule and the submitted data.
+     * @return array|null Error with code and message, or null when valid.
+     */
+    private function run_validator( string $value, array $field ): ?array {
+        $validators = $this->get_validators();
+        $name       = $field['rule']['validator'];
+
+        if ( '' === $name || ! isset( $validators[ $name ] ) || ! is_callable( $validators[ $name ] ) ) {
+            return null;
+        }
+
+        $result = call_user_func( $validators[ $name ], $value, $field );
+
+        if ( true === $result ) {
+            return null;
+        }
+
+        if ( ! $result ) {
+            $result = array( 'code' => 'invalidChecksum' );
+        } elseif ( is_string( $result ) ) {
+            $result = array( 'code' => $result );
+        }
+
+        $fallback = 'invalidChecksum' === $result['code']
+            ? __( 'This number is not valid (checksum mismatch)', 'mask-for-html-forms' )
+            : $this->get_message( 'invalidGeneric', __( 'Invalid value for this field', 'mask-for-html-forms' ), $field['rule'] );
+
+        return $this->get_error( $result['code'], $fallback, $result['args'] ?? array(), $field['rule'] );
+    }
+
+    /**
+     * Build an error, preferring the field's custom error message.
+     *
+     * @param string $code     Message key.
+     * @param string $fallback Fallback text.
+     * @param array  $args     Message arguments.
+     * @param array  $rule     Rule from build_rule().
+     * @return array Error with code and message.
+     */
+    private function get_error( string $code, string $fallback, array $args, array $rule ): array {
+        $message = '' !== $rule['error'] ? $rule['error'] : $this->format_message( $this->get_message( $code, $fallback, $rule, $args[0] ?? null ), $args );
+
+        return array(
+            'code'    => $code,
+            'message' => $message,
+        );
+    }
+
+    /**
+     * Get validators by name.
+     *
+     * Each receives the clean value and the field (with its rule and the
+     * submitted data) and returns true when valid, false for a checksum
+     * failure, a message key, or an array with code and args.
+     *
+     * @return array Callables keyed by validator name.
+     */
+    public function get_validators(): array {
+        $validators = array(
+            'pesel'    => function ( $value ) {
+                return $this->check_weighted_sum(
+                    $value,
+                    array( 1, 3, 7, 9, 1, 3, 7, 9, 1, 3 ),
+                    function ( $sum ) {
+                        return ( 10 - ( $sum % 10 ) ) % 10;
+                    }
+                );
+            },
+            'nip'      => function ( $value ) {
+                return $this->check_weighted_sum(
+                    $value,
+                    array( 6, 5, 7, 2, 3, 4, 5, 6, 7 ),
+                    function ( $sum ) {
+                        // NIP numbers are never issued with a remainder of 10.
+                        return 10 === $sum % 11 ? -1 : $sum % 11;
+                    }
+                );
+            },
+            'regon'    => function ( $value ) {
+                $weights = 14 === strlen( $value ) ? array( 2, 4, 8, 5, 0, 9, 7, 3, 6, 1, 2, 4, 8 ) : array( 8, 9, 2, 3, 4, 5, 6, 7 );
+
+                return $this->check_weighted_sum(
+                    $value,
+                    $weights,
+                    function ( $sum ) {
+                        return ( $sum % 11 ) % 10;
+                    }
+                );
+            },
+            'iban'     => array( $this, 'check_iban' ),
+            'date-eu'  => function ( $value, $field ) {
+                return $this->validate_date( $value, 'dmy', $field );
+            },
+            'date-iso' => function ( $value, $field ) {
+                return $this->validate_date( $value, 'ymd', $field );
+            },
+            'luhn'     => array( $this, 'check_luhn' ),
+            'card'     => function ( $value ) {
+                $brand = $this->detect_card_brand( $value );
+
+                if ( $brand && ! empty( $brand['lengths'] ) && ! in_array( strlen( $value ), array_map( 'intval', $brand['lengths'] ), true ) ) {
+                    return 'invalidCard';
+                }
+
+                return $this->check_luhn( $value ) ? true : 'invalidCard';
+            },
+            'phone'    => function ( $value, $field ) {
+                $country  = $this->detect_phone_country( $value, $field );
+                $national = substr( preg_replace( '/\D/', '', $value ), $country ? strlen( $country['code'] ) : 0 );
+
+                if ( ! $country || ( ! empty( $country['lengths'] ) && ! in_array( strlen( $national ), array_map( 'intval', $country['lengths'] ), true ) ) ) {
+                    return 'invalidPhone';
+                }
+
+                return true;
+            },
+            'number'   => function ( $value, $field ) {
+                $format = $field['rule']['number'] ?? $this->get_number_format( array() );
+                $number = (float) $value;
+
+                if ( is_numeric( $format['min'] ?? '' ) && $number < (float) $format['min'] ) {
+                    return array(
+                        'code' => 'numberTooSmall',
+                        'args' => array( $this->format_number( (float) $format['min'], $format ) ),
+                    );
+                }
+
+                if ( is_numeric( $format['max'] ?? '' ) && $number > (float) $format['max'] ) {
+                    return array(
+                        'code' => 'numberTooLarge',
+                        'args' => array( $this->format_number( (float) $format['max'], $format ) ),
+                    );
+                }
+
+                return true;
+            },
+            'time-24'  => function ( $value ) {
+                if ( ! preg_match( '/^\d{4}$/', $value ) || (int) substr( $value, 0, 2 ) > 23 || (int) substr( $value, 2, 2 ) > 59 ) {
+                    return 'invalidTime';
+                }
+
+                return true;
+            },
+        );
+
+        /**
+         * Filter server-side validators.
+         *
+         * Add a validator here for each one registered in the browser, so custom
+         * presets are also checked on submission.
+         *
+         * @since 1.1.0
+         * @param array $validators Callables keyed by validator name.
+         */
+        return apply_filters( 'mfhf_server_validators', $validators );
+    }
+
+    /**
+     * Verify a weighted checksum where the last digit is the control digit.
+     *
+     * @param string   $value       Digits only.
+     * @param array    $weights     Weights for all digits except the control digit.
+     * @param callable $get_control Maps the weighted sum to the expected control digit.
+     * @return bool True when the control digit matches.
+     */
+    private function check_weighted_sum( string $value, array $weights, callable $get_control ): bool {
+        // All-zero numbers pass every weighted sum but are never issued.
+        if ( strlen( $value ) !== count( $weights ) + 1 || ! preg_match( '/^\d+$/', $value ) || preg_match( '/^0+$/', $value ) ) {
+            return false;
+        }
+
+        $sum = 0;
+
+        foreach ( $weights as $index => $weight ) {
+            $sum += $weight * (int) $value[ $index ];
+        }
+
+        return (int) $value[ count( $weights ) ] === $get_control( $sum );
+    }
+
+    /**
+     * Verify a number with the Luhn (mod 10) algorithm.
+     *
+     * @param string $value Digits only.
+     * @return bool True when the check digit matches.
+     */
+    public function check_luhn( string $value ): bool {
+        if ( ! preg_match( '/^\d{2,}$/', $value ) || preg_match( '/^0+$/', $value ) ) {
+            return false;
+        }
+
+        $sum    = 0;
+        $digits = strrev( $value );
+
+        for ( $i = 0, $length = strlen( $digits ); $i < $length; $i++ ) {
+            $digit = (int) $digits[ $i ];
+
+            if ( 1 === $i % 2 ) {
+                $digit *= 2;
+
+                if ( $digit > 9 ) {
+                    $digit -= 9;
+                }
+            }
+
+            $sum += $digit;
+        }
+
+        return 0 === $sum % 10;
+    }
+
+    /**
+     * Verify an IBAN checksum (mod 97).
+     *
+     * @param string $value IBAN with or without spaces.
+     * @return bool True when valid.
+     */
+    public function check_iban( string $value ): bool {
+        $iban = strtoupper( preg_replace( '/\s+/', '', $value ) );
+
+        if ( ! preg_match( '/^[A-Z]{2}\d{2}[A-Z0-9]+$/', $iban ) ) {
+            return false;
+        }
+
+        // Move country code and check digits to the end, map letters to 10-35.
+        $digits = preg_replace_callback(
+            '/[A-Z]/',
+            function ( $match ) {
+                return (string) ( ord( $match[0] ) - 55 );
+            },
+            substr( $iban, 4 ) . substr( $iban, 0, 4 )
+        );
+
+        $remainder = 0;
+
+        for ( $i = 0, $length = strlen( $digits ); $i < $length; $i++ ) {
+            $remainder = ( $remainder * 10 + (int) $digits[ $i ] ) % 97;
+        }
+
+        return 1 === $remainder;
+    }
+
+    /**
+     * Validate a clean date value and optional data-mask-min-date / data-mask-max-date bounds.
+     *
+     * @param string $value Clean value (8 digits).
+     * @param string $order Part order, 'dmy' or 'ymd'.
+     * @param array  $field Field with its rule.
+     * @return bool|string|array True when valid, otherwise message key or array with code and args.
+     */
+    private function validate_date( string $value, string $order, array $field ) {
+        if ( ! preg_match( '/^\d{8}$/', $value ) ) {
+            return 'invalidDate';
+        }
+
+        $date = 'ymd' === $order ? array(
+            'y' => (int) substr( $value, 0, 4 ),
+            'm' => (int) substr( $value, 4, 2 ),
+            'd' => (int) substr( $value, 6, 2 ),
+        ) : array(
+            'd' => (int) substr( $value, 0, 2 ),
+            'm' => (int) substr( $value, 2, 2 ),
+            'y' => (int) substr( $value, 4, 4 ),
+        );
+
+        if ( $date['y'] < 1 || ! checkdate( $date['m'], $date['d'], $date['y'] ) ) {
+            return 'invalidDate';
+        }
+
+        $min = $this->parse_date_bound( $field['attributes']['data-mask-min-date'] ?? '' );
+        $max = $this->parse_date_bound( $field['attributes']['data-mask-max-date'] ?? '' );
+        $key = $this->get_date_key( $date );
+
+        if ( $min && $key < $this->get_date_key( $min ) ) {
+            return array(
+                'code' => 'dateTooEarly',
+                'args' => array( $this->format_date( $min, $order, $field['rule']['mask'] ) ),
+            );
+        }
+
+        if ( $max && $key > $this->get_date_key( $max ) ) {
+            return array(
+                'code' => 'dateTooLate',
+                'args' => array( $this->format_date( $max, $order, $field['rule']['mask'] ) ),
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Parse a date bound attribute.
+     *
+     * Accepts YYYY-MM-DD, "today" or a relative offset such as "today-18y" (d, m, y units).
+     *
+     * @param string $bound Attribute value.
+     * @return array|null Date parts y, m, d or null.
+     */
+    private function parse_date_bound( string $bound ): ?array {
+        if ( '' === $bound ) {
+            return null;
+        }
+
+        if ( preg_match( '/^(\d{4})-(\d{2})-(\d{2})$/', $bound, $iso ) ) {
+            return array(
+                'y' => (int) $iso[1],
+                'm' => (int) $iso[2],
+                'd' => (int) $iso[3],
+            );
+        }
+
+        if ( ! preg_match( '/^today(?:([+-]\d+)([dmy]))?$/', strtolower( $bound ), $relative ) ) {
+            return null;
+        }
+
+        $now    = new \DateTimeImmutable( 'now', wp_timezone() );
+        $amount = isset( $relative[1] ) ? (int) $relative[1] : 0;
+        $unit   = $relative[2] ?? '';
+        $date   = $now->setDate(
+            (int) $now->format( 'Y' ) + ( 'y' === $unit ? $amount : 0 ),
+            (int) $now->format( 'n' ) + ( 'm' === $unit ? $amount : 0 ),
+            (int) $now->format( 'j' ) + ( 'd' === $unit ? $amount : 0 )
+        );
+
+        return array(
+            'y' => (int) $date->format( 'Y' ),
+            'm' => (int) $date->format( 'n' ),
+            'd' => (int) $date->format( 'j' ),
+        );
+    }
+
+    /**
+     * Comparable numeric key for date parts.
+     *
+     * @param array $date Date parts y, m, d.
+     * @return int Key in YYYYMMDD form.
+     */
+    private function get_date_key( array $date ): int {
+        return $date['y'] * 10000 + $date['m'] * 100 + $date['d'];
+    }
+
+    /**
+     * Format date parts using the field mask.
+     *
+     * @param array  $date  Date parts y, m, d.
+     * @param string $order Part order, 'dmy' or 'ymd'.
+     * @param string $mask  Field mask, may be empty.
+     * @return string Formatted date.
+     */
+    private function format_date( array $date, string $order, string $mask ): string {
+        $parts = 'ymd' === $order
+            ? array( sprintf( '%04d', $date['y'] ), sprintf( '%02d', $date['m'] ), sprintf( '%02d', $date['d'] ) )
+            : array( sprintf( '%02d', $date['d'] ), sprintf( '%02d', $date['m'] ), sprintf( '%04d', $date['y'] ) );
+
+        if ( '' !== $mask ) {
+            return $this->apply_mask( $mask, implode( '', $parts ), $this->get_translation() );
+        }
+
+        return implode( 'ymd' === $order ? '-' : '/', $parts );
+    }
+
+    /**
+     * Merge a preset number config with the locale defaults.
+     *
+     * @param array $config Preset number config.
+     * @return array Format with thousands, decimal, precision, negative, min and max.
+     */
+    private function get_number_format( array $config ): array {
+        $settings = $this->get_settings();
+        $format   = array_merge(
+            array(
+                'thousands' => ' ',
+                'decimal'   => ',',
+                'precision' => 2,
+                'negative'  => false,
+            ),
+            (array) ( $settings['numberFormat'] ?? array() ),
+            $config
+        );
+
+        $format['precision'] = (int) $format['precision'];
+        $format['negative']  = filter_var( $format['negative'], FILTER_VALIDATE_BOOLEAN );
+
+        return $format;
+    }
+
+    /**
+     * Read a number preset value as a dot-decimal string.
+     *
+     * Accepts the masked value ("1 234,56") and the clean one ("1234.56").
+     *
+     * @param string $value  Submitted value.
+     * @param array  $format Number format.
+     * @return string|null Number such as "-1234.56", or null when not a number.
+     */
+    private function get_number_value( string $value, array $format ): ?string {
+        $value    = trim( $value );
+        $negative = 0 === strpos( $value, '-' );
+        $body     = $negative ? substr( $value, 1 ) : $value;
+        $clean    = $format['precision'] > 0 ? '/^\d+\.\d{' . $format['precision'] . '}$/' : '/^\d+$/';
+        $allowed  = preg_quote( $format['thousands'] . $format['decimal'], '/' );
+
+        if ( ( $negative && ! $format['negative'] ) || ( ! preg_match( $clean, $body ) && ! preg_match( '/^[\d' . $allowed . ']+$/u', $body ) ) ) {
+            return null;
+        }
+
+        $digits = preg_replace( '/\D/', '', $body );
+
+        if ( '' === $digits ) {
+            return null;
+        }
+
+        $number = (float) $digits / pow( 10, $format['precision'] );
+
+        return number_format( $negative ? -$number : $number, $format['precision'], '.', '' );
+    }
+
+    /**
+     * Format a number with the field's separators and precision.
+     *
+     * @param float $number Value.
+     * @param array $format Number format.
+     * @return string Formatted number.
+     */
+    private function format_number( float $number, array $format ): string {
+        return ( $number < 0 ? '-' : '' ) . number_format( abs( $number ), $format['precision'], $format['decimal'], $format['thousands'] );
+    }
+
+    /**
+     * Detect the card brand from the leading digits.
+     *
+     * @param string $value Card number (masked or clean).
+     * @return array|null Brand config with its name, or null.
+     */
+    private function detect_card_brand( string $value ): ?array {
+        $digits   = preg_replace( '/\D/', '', $value );
+        $settings = $this->get_settings();
+
+        if ( '' === $digits ) {
+            return null;
+        }
+
+        foreach ( (array) ( $settings['cardBrands'] ?? array() ) as $name => $brand ) {
+            if ( preg_match( $this->to_regex( $brand['pattern'] ), $digits ) ) {
+                return array_merge( array( 'name' => $name ), $brand );
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Detect the phone country from the companion field or the dial code prefix.
+     *
+     * @param string $value Phone number (masked or clean).
+     * @param array  $field Field with its rule and the submitted data.
+     * @return array|null Country config with its name, or null.
+     */
+    private function detect_phone_country( string $value, array $field ): ?array {
+        $digits = preg_replace( '/\D/', '', $value );
+        $found  = $this->get_phone_country_from_control( $field );
+
+        if ( null !== $found ) {
+            return $found;
+        }
+
+        foreach ( (array) $field['rule']['phone'] as $name => $country ) {
+            $code = (string) $country['code'];
+
+            if ( 0 === strpos( $digits, $code ) && ( null === $found || strlen( $code ) > strlen( $found['code'] ) ) ) {
+                $found = array_merge( array( 'name' => $name ), $country );
+            }
+        }
+
+        return $found;
+    }
+
+    /**
+     * Get the country submitted in the field named by data-mask-country.
+     *
+     * The companion value may be an ISO code ("PL") or a dial code ("+48").
+     *
+     * @param array $field Field with its rule and the submitted data.
+     * @return array|null Country config with its name, or null.
+     */
+    private function get_phone_country_from_control( array $field ): ?array {
+        $name = $field['attributes']['data-mask-country'] ?? '';
+
+        if ( '' === $name ) {
+            return null;
+        }
+
+        $value = strtoupper( (string) $this->get_submitted_value( $name, $field['data'] ) );
+
+        if ( '' === $value ) {
+            return null;
+        }
+
+        foreach ( (array) $field['rule']['phone'] as $key => $country ) {
+            $code = (string) $country['code'];
+
+            if ( strtoupper( $key ) === $value || '+' . $code === $value || $code === $value ) {
+                return array_merge( array( 'name' => $key ), $country );
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Turn an E.164 number, the clean submit format, into the clean value of the phone mask.
+     *
+     * @param string     $value   Submitted phone number.
+     * @param array|null $country Detected country.
+     * @param array      $field   Field with its rule and the submitted data.
+     * @return string Digits without the plus sign, and without the dial code when a companion field sets the country.
+     */
+    private function get_national_phone_value( string $value, ?array $country, array $field ): string {
+        if ( ! preg_match( '/^\+\d+$/', $value ) ) {
+            return $value;
+        }
+
+        if ( $country && $this->get_phone_country_from_control( $field ) && 0 === strpos( $value, '+' . $country['code'] ) ) {
+            return substr( $value, strlen( (string) $country['code'] ) + 1 );
+        }
+
+        return substr( $value, 1 );
+    }
+
+    /**
+     * Get the mask of a phone country.
+     *
+     * @param array $country Country config.
+     * @param array $field   Field with its rule and the submitted data.
+     * @return string National mask with a companion field, otherwise prefixed with the dial code.
+     */
+    private function get_phone_mask( array $country, array $field ): string {
+        if ( $this->get_phone_country_from_control( $field ) ) {
+            return $country['mask'];
+        }
+
+        return '+' . str_repeat( '0', strlen( (string) $country['code'] ) ) . ' ' . $country['mask'];
+    }
+
+    /**
+     * Get a preset with its extends chain resolved.
+     *
+     * The extending preset's keys win; nested maps such as messages and
+     * number are merged.
+     *
+     * @param string $name Preset name.
+     * @return array|null Resolved preset or null when unknown.
+     */
+    private function get_preset( string $name ): ?array {
+        $settings = $this->get_settings();
+        $presets  = (array) ( $settings['presets'] ?? array() );
+        $chain    = array();
+        $visited  = array();
+
+        while ( '' !== $name && isset( $presets[ $name ] ) && ! in_array( $name, $visited, true ) ) {
+            $visited[] = $name;
+            array_unshift( $chain, (array) $presets[ $name ] );
+            $name = (string) ( $presets[ $name ]['extends'] ?? '' );
+        }
+
+        if ( empty( $chain ) ) {
+            return null;
+        }
+
+        $resolved = array();
+
+        foreach ( $chain as $preset ) {
+            foreach ( $preset as $key => $value ) {
+                if ( $this->is_map( $value ) && isset( $resolved[ $key ] ) && $this->is_map( $resolved[ $key ] ) ) {
+                    $resolved[ $key ] = array_merge( $resolved[ $key ], $value );
+                } else {
+                    $resolved[ $key ] = $value;
+                }
+            }
+        }
+
+        unset( $resolved['extends'] );
+
+        return $resolved;
+    }
+
+    /**
+     * Check whether a value is an associative array (a JavaScript object) or empty.
+     *
+     * @param mixed $value Value.
+     * @return bool True for maps.
+     */
+    private function is_map( $value ): bool {
+        return is_array( $value ) && ( empty( $value ) || array_keys( $value ) !== range( 0, count( $value ) - 1 ) );
+    }
+
+    /**
+     * Get the translation table: jQuery Mask defaults plus the plugin's characters.
+     *
+     * @return array Translations keyed by character, each with pattern, optional and recursive.
+     */
+    private function get_translation(): array {
+        $settings = $this->get_settings();
+
+        // Defaults of jQuery Mask Plugin 1.14.16.
+        $translation = array(
+            '0' => array( 'pattern' => '\d' ),
+            '9' => array(
+                'pattern'  => '\d',
+                'optional' => true,
+            ),
+            '#' => array(
+                'pattern'   => '\d',
+                'recursive' => true,
+            ),
+            'A' => array( 'pattern' => '[a-zA-Z0-9]' ),
+            'S' => array( 'pattern' => '[a-zA-Z]' ),
+        );
+
+        foreach ( (array) ( $settings['translations'] ?? array() ) as $char => $config ) {
+            $translation[ (string) $char ] = (array) $config;
+        }
+
+        return $translation;
+    }
+
+    /**
+     * Split a mask pattern into translated tokens and literals.
+     *
+     * @param string $mask        Mask pattern.
+     * @param array  $translation Translation table.
+     * @return array Tokens with char and token, token being null for literals.
+     */
+    private function tokenize_mask( string $mask, array $translation ): array {
+        $tokens = array();
+
+        foreach ( preg_split( '//u', $mask, -1, PREG_SPLIT_NO_EMPTY ) as $char ) {
+            $tokens[] = array(
+                'char'  => $char,
+                'token' => $translation[ $char ] ?? null,
+            );
+        }
+
+        return $tokens;
+    }
+
+    /**
+     * Get the minimum and maximum number of characters a mask accepts.
+     *
+     * Optional tokens only count towards the maximum; recursive tokens make it unbounded.
+     *
+     * @param string $mask        Mask pattern.
+     * @param array  $translation Translation table.
+     * @return array Lengths with min and max (INF for recursive masks).
+     */
+    private function get_mask_lengths( string $mask, array $translation ): array {
+        $lengths = array(
+            'min' => 0,
+            'max' => 0,
+        );
+
+        foreach ( $this->tokenize_mask( $mask, $translation ) as $item ) {
+            if ( null === $item['token'] ) {
+                continue;
+            }
+
+            if ( ! empty( $item['token']['recursive'] ) ) {
+                $lengths['max'] = INF;
+            } elseif ( ! empty( $item['token']['optional'] ) ) {
+                ++$lengths['max'];
+            } else {
+                ++$lengths['min'];
+                ++$lengths['max'];
+            }
+        }
+
+        return $lengths;
+    }
+
+    /**
+     * Match a value against a mask and return its clean value.
+     *
+     * Only the fully masked value ("12-345") and the clean value ("12345")
+     * are accepted; partly masked values such as "123-45" are not.
+     *
+     * @param string $mask        Mask pattern.
+     * @param string $value       Submitted value.
+     * @param array  $translation Translation table.
+     * @param bool   $reverse     Whether the mask is applied from right to left.
+     * @return string|null Clean value, or null when the mask does not accept the value.
+     */
+    public function match_mask( string $mask, string $value, array $translation, bool $reverse = false ): ?string {
+        $regex = '';
+
+        // Literals are optional here, so the regex only extracts the clean value.
+        foreach ( $this->tokenize_mask( $mask, $translation ) as $item ) {
+            if ( null === $item['token'] ) {
+                $regex .= '(?:' . preg_quote( $item['char'], '/' ) . ')?';
+                continue;
+            }
+
+            $pattern = '(?:' . $this->escape_pattern( $item['token']['pattern'] ) . ')';
+
+            if ( ! empty( $item['token']['recursive'] ) ) {
+                $regex .= '(' . $pattern . '*)';
+            } elseif ( ! empty( $item['token']['optional'] ) ) {
+                $regex .= '(' . $pattern . '?)';
+            } else {
+                $regex .= '(' . $pattern . ')';
+            }
+        }
+
+        if ( ! $this->safe_match( '/^' . $regex . '$/u', $value, $matches ) ) {
+            return null;
+        }
+
+        $clean = implode( '', array_slice( $matches, 1 ) );
+
+        if ( $value !== $clean && $value !== $this->apply_mask( $mask, $clean, $translation, $reverse ) ) {
+            return null;
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Match a regular expression that may not compile.
+     *
+     * Filtered translations can hold invalid patterns; they count as no match
+     * instead of raising a warning.
+     *
+     * @param string     $regex   Regular expression with delimiters.
+     * @param string     $subject Subject string.
+     * @param array|null $matches Receives the matches.
+     * @return bool True when the pattern compiled and matched.
+     */
+    private function safe_match( string $regex, string $subject, ?array &$matches = null ): bool {
+        set_error_handler(
+            static function () {
+                return true;
+            }
+        );
+
+        $result = preg_match( $regex, $subject, $matches );
+
+        restore_error_handler();
+
+        return 1 === $result && PREG_NO_ERROR === preg_last_error();
+    }
+
+    /**
+     * Count value characters accepted by any token of a mask.
+     *
+     * @param string $mask        Mask pattern.
+     * @param string $value       Submitted value.
+     * @param array  $translation Translation table.
+     * @return int Character count.
+     */
+    private function count_token_chars( string $mask, string $value, array $translation ): int {
+        $patterns = array();
+
+        foreach ( $this->tokenize_mask( $mask, $translation ) as $item ) {
+            if ( null !== $item['token'] ) {
+                $patterns[] = '(?:' . $this->escape_pattern( $item['token']['pattern'] ) . ')';
+            }
+        }
+
+        if ( empty( $patterns ) ) {
+            return 0;
+        }
+
+        $regex = '/^(?:' . implode( '|', array_unique( $patterns ) ) . ')$/u';
+        $count = 0;
+
+        foreach ( preg_split( '//u', $value, -1, PREG_SPLIT_NO_EMPTY ) as $char ) {
+            if ( $this->safe_match( $regex, $char ) ) {
+                ++$count;
+            }
+        }
+
+        return $count;
+    }
+
+    /**
+     * Fill a mask with clean characters, adding literals between them.
+     *
+     * Follows getMasked() of jQuery Mask Plugin 1.14.16 for optional,
+     * recursive and reverse masks.
+     *
+     * @param string $mask        Mask pattern.
+     * @param string $clean       Clean value.
+     * @param array  $translation Translation table.
+     * @param bool   $reverse     Whether the mask is applied from right to left.
+     * @return string Masked value.
+     */
+    private function apply_mask( string $mask, string $clean, array $translation, bool $reverse = false ): string {
+        $items     = $this->tokenize_mask( $mask, $translation );
+        $chars     = preg_split( '//u', $clean, -1, PREG_SPLIT_NO_EMPTY );
+        $mask_len  = count( $items );
+        $value_len = count( $chars );
+        $offset    = $reverse ? -1 : 1;
+        $m         = $reverse ? $mask_len - 1 : 0;
+        $v         = $reverse ? $value_len - 1 : 0;
+        $last      = $reverse ? 0 : $mask_len - 1;
+        $reset     = -1;
+        $buffer    = array();
+
+        while ( $reverse ? ( $m > -1 && $v > -1 ) : ( $m < $mask_len && $v < $value_len ) ) {
+            $token = $items[ $m ]['token'];
+            $char  = $chars[ $v ];
+
+            if ( null === $token ) {
+                $buffer[] = $items[ $m ]['char'];
+
+                if ( $char === $items[ $m ]['char'] ) {
+                    $v += $offset;
+                }
+
+                $m += $offset;
+                continue;
+            }
+
+            if ( $this->safe_match( '/^(?:' . $this->escape_pattern( $token['pattern'] ) . ')$/u', $char ) ) {
+                $buffer[] = $char;
+
+                if ( ! empty( $token['recursive'] ) ) {
+                    if ( -1 === $reset ) {
+                        $reset = $m;
+                    } elseif ( $m === $last && $m !== $reset ) {
+                        $m = $reset - $offset;
+                    }
+
+                    if ( $last === $reset ) {
+                        $m -= $offset;
+                    }
+                }
+
+                $m += $offset;
+            } elseif ( ! empty( $token['optional'] ) ) {
+                $m += $offset;
+                $v -= $offset;
+            }
+
+            $v += $offset;
+        }
+
+        if ( $reverse ) {
+            $buffer = array_reverse( $buffer );
+        }
+
+        if ( $mask_len === $value_len + 1 && null === $items[ $last ]['token'] ) {
+            $buffer[] = $items[ $last ]['char'];
+        }
+
+        return implode( '', $buffer );
+    }
+
+    /**
+     * Turn a JavaScript pattern string into a PCRE fragment.
+     *
+     * @param string $pattern Pattern without delimiters, e.g. [a-z].
+     * @return string Pattern with forward slashes escaped.
+     */
+    private function escape_pattern( string $pattern ): string {
+        return preg_replace( '#(?<!\\\\)/#', '\/', $pattern );
+    }
+
+    /**
+     * Wrap a JavaScript pattern string in delimiters.
+     *
+     * @param string $pattern Pattern without delimiters.
+     * @return string PCRE regular expression.
+     */
+    private function to_regex( string $pattern ): string {
+        return '/' . $this->escape_pattern( $pattern ) . '/u';
+    }
+
+    /**
+     * Get a message in the rule's locale.
+     *
+     * Looks in the preset's messages for the locale, the preset's own messages,
+     * the catalog of the locale (the localized messages for the site locale),
+     * then the same for English.
+     *
+     * @param string     $key      Message key.
+     * @param string     $fallback Fallback text.
+     * @param array|null $rule     Rule from build_rule().
+     * @param mixed      $count    Count choosing the plural form.
+     * @return string Message text.
+     */
+    private function get_message( string $key, string $fallback, ?array $rule = null, $count = null ): string {
+        foreach ( $this->get_catalogs( $rule ) as $catalog ) {
+            $message = $catalog['messages'][ $key ] ?? null;
+
+            if ( ( is_string( $message ) && '' !== $message ) || ( is_array( $message ) && ! empty( $message ) ) ) {
+                return $this->select_plural_form( $message, $count, $catalog['locale'] );
+            }
+        }
+
+        return $fallback;
+    }
+
+    /**
+     * Get the message catalogs to search for a rule, in order.
+     *
+     * @param array|null $rule Rule from build_rule().
+     * @return array Catalogs with locale and messages.
+     */
+    private function get_catalogs( ?array $rule ): array {
+        $settings = $this->get_settings();
+        $site     = $this->normalize_locale( (string) ( $settings['locale'] ?? 'en' ) );
+        $locale   = $this->normalize_locale( (string) ( $rule['locale'] ?? '' ) );
+        $presets  = (array) ( $rule['messages'] ?? array() );
+        $catalogs = array();
+
+        foreach ( array( '' !== $locale ? $locale : $site, 'en' ) as $index => $tag ) {
+            $catalogs[] = array( 'locale' => $tag, 'messages' => $this->find_catalog( $presets, $tag ) );
+
+            if ( 0 === $index ) {
+                $catalogs[] = array( 'locale' => $tag, 'messages' => $presets );
+            }
+
+            $catalogs[] = array( 'locale' => $tag, 'messages' => $this->find_catalog( (array) ( $settings['catalogs'] ?? array() ), $tag ) );
+
+            if ( $this->locale_matches( $site, $tag ) ) {
+                $catalogs[] = array( 'locale' => $site, 'messages' => (array) ( $settings['messages'] ?? array() ) );
+            }
+        }
+
+        return $catalogs;
+    }
+
+    /**
+     * Find the catalog of a locale, preferring an exact match over one for the same language.
+     *
+     * @param array  $catalogs Catalogs keyed by locale; other entries are ignored.
+     * @param string $tag      Normalized locale.
+     * @return array Messages, empty when there is no catalog.
+     */
+    private function find_catalog( array $catalogs, string $tag ): array {
+        $match = array();
+
+        foreach ( $catalogs as $locale => $messages ) {
+            if ( ! is_array( $messages ) || array_values( $messages ) === $messages || ! $this->locale_matches( $this->normalize_locale( (string) $locale ), $tag ) ) {
+                continue;
+            }
+
+            if ( $this->normalize_locale( (string) $locale ) === $tag ) {
+                return $messages;
+            }
+
+            $match = $match ? $match : $messages;
+        }
+
+        return $match;
+    }
+
+    /**
+     * Normalize a locale to a lowercase language tag (pl_PL becomes pl-pl).
+     *
+     * @param string $locale Locale or language tag.
+     * @return string Normalized locale.
+     */
+    private function normalize_locale( string $locale ): string {
+        return strtolower( str_replace( '_', '-', trim( $locale ) ) );
+    }
+
+    /**
+     * Check whether two normalized locales are equal or one is the language of the other.
+     *
+     * @param string $a Normalized locale.
+     * @param string $b Normalized locale.
+     * @return bool True when they match.
+     */
+    private function locale_matches( string $a, string $b ): bool {
+        return $a === $b || explode( '-', $a )[0] === $b || explode( '-', $b )[0] === $a;
+    }
+
+    /**
+     * Pick the plural form of a message for a count.
+     *
+     * @param string|array $message Message or plural forms in gettext order.
+     * @param mixed        $count   Count; non-integers use the last form.
+     * @param string       $locale  Normalized locale of the message.
+     * @return string Message text.
+     */
+    private function select_plural_form( $message, $count, string $locale ): string {
+        if ( ! is_array( $message ) ) {
+            return (string) $message;
+        }
+
+        $message = array_values( $message );
+
+        if ( null === $count ) {
+            return (string) $message[0];
+        }
+
+        $index = is_numeric( $count ) && floor( (float) $count ) === (float) $count
+            ? $this->get_plural_index( abs( (int) $count ), $locale )
+            : count( $message ) - 1;
+
+        return (string) $message[ min( $index, count( $message ) - 1 ) ];
+    }
+
+    /**
+     * Get the gettext plural form index of a count.
+     *
+     * Built-in rules cover Polish, Czech, Slovak, Russian, Ukrainian and French;
+     * other languages use the English rule.
+     *
+     * @param int    $n      Count.
+     * @param string $locale Normalized locale.
+     * @return int Plural form index.
+     */
+    private function get_plural_index( int $n, string $locale ): int {
+        switch ( explode( '-', $locale )[0] ) {
+            case 'pl':
+                $index = 1 === $n ? 0 : ( $n % 10 >= 2 && $n % 10 <= 4 && ( $n % 100 < 10 || $n % 100 >= 20 ) ? 1 : 2 );
+                break;
+            case 'cs':
+            case 'sk':
+                $index = 1 === $n ? 0 : ( $n >= 2 && $n <= 4 ? 1 : 2 );
+                break;
+            case 'ru':
+            case 'uk':
+                $index = 1 === $n % 10 && 11 !== $n % 100 ? 0 : ( $n % 10 >= 2 && $n % 10 <= 4 && ( $n % 100 < 10 || $n % 100 >= 20 ) ? 1 : 2 );
+                break;
+            case 'fr':
+                $index = $n > 1 ? 1 : 0;
+                break;
+            default:
+                $index = 1 === $n ? 0 : 1;
+        }
+
+        /**
+         * Filter the plural form index of a count, for languages without a built-in rule.
+         *
+         * @since 1.1.0
+         * @param int    $index  Plural form index in gettext order.
+         * @param int    $n      Count.
+         * @param string $locale Normalized locale, e.g. "pl-pl".
+         */
+        return (int) apply_filters( 'mfhf_plural_index', $index, $n, $locale );
+    }
+
+    /**
+     * Replace %s and %1$s placeholders with the arguments.
+     *
+     * @param string $template Message template.
+     * @param array  $args     Arguments.
+     * @return string Message text.
+     */
+    private function format_message( string $template, array $args ): string {
+        $template = preg_replace_callback(
+            '/%(\d+)\$s/',
+            function ( $match ) use ( $args ) {
+                $index = (int) $match[1] - 1;
+                return isset( $args[ $index ] ) ? (string) $args[ $index ] : $match[0];
+            },
+            $template
+        );
+
+        return preg_replace_callback(
+            '/%s/',
+            function () use ( &$args ) {
+                $next = array_shift( $args );
+                return null === $next ? '' : (string) $next;
+            },
+            $template
+        );
+    }
+
+    /**
+     * Get the settings passed to mask-init.js.
+     *
+     * @return array Settings array.
+     */
+    private function get_settings(): array {
+        if ( null === $this->settings ) {
+            $this->settings = $this->assets_loader->get_script_settings();
+        }
+
+        return $this->settings;
+    }
+}
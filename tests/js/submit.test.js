@@ -0,0 +1,208 @@
+/**
+ * Mask for HTML Forms - Submit handling (JavaScript)
+ *
+ * Submits a form in jsdom and checks what the engines do around the
+ * request: the error summary, blocking of invalid forms and the values
+ * sent by native and HTML Forms (AJAX) submits.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var root = path.join(__dirname, '..', '..');
+var settings = require('../fixtures/settings.json');
+var engines = {
+    jquery: [
+        require.resolve('jquery/dist/jquery.js'),
+        path.join(root, 'assets/js/jquery.mask.min.js'),
+        path.join(root, 'assets/js/mask-core.js'),
+        path.join(root, 'assets/js/mask-init.js')
+    ],
+    vanilla: [
+        path.join(root, 'assets/js/mask-core.js'),
+        path.join(root, 'assets/js/mask-vanilla.js')
+    ]
+};
+
+/**
+ * Load a form in a window and mask it like a page load.
+ *
+ * @param {string} markup Form markup.
+ * @param {object} [overrides] Settings merged into mfhfSettings.
+ * @param {string} [engine] Masking engine, jquery (default) or vanilla.
+ * @return {Promise<Window>} Window once the masks are applied.
+ */
+function load(markup, overrides, engine) {
+    var dom = new JSDOM('<!doctype html><html><body><form class="hf-form" action="/submit">' + markup + '</form></body></html>', {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    var window = dom.window;
+
+    window.mfhfSettings = Object.assign(JSON.parse(JSON.stringify(settings)), overrides || {});
+
+    engines[engine || 'jquery'].forEach(function(file) {
+        window.eval(fs.readFileSync(file, 'utf8'));
+    });
+
+    // The vanilla engine initializes right away once the document has loaded.
+    return new Promise(function(resolve) {
+        if (window.jQuery) {
+            window.jQuery(function() {
+                resolve(window);
+            });
+        } else {
+            resolve(window);
+        }
+    });
+}
+
+/**
+ * Stop the dynamic input observers and close the window.
+ *
+ * @param {Window} window Window from load().
+ */
+function close(window) {
+    window.MaskForHtmlForms.destroy();
+    window.close();
+}
+
+/**
+ * Dispatch a submit event on the form as the browser does before sending it.
+ *
+ * @param {Window} window Window from load().
+ * @return {boolean} False when a listener cancelled the submit.
+ */
+function submit(window) {
+    var form = window.document.querySelector('form');
+
+    return form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+}
+
+/**
+ * Send the form like HTML Forms: cancel the submit, fire hf-submit, serialize
+ * the form and fire hf-submitted once the response arrives.
+ *
+ * @param {Window} window Window from load().
+ * @return {{sent: Array, respond: Function}} Serialized fields and a function firing hf-submitted.
+ */
+function ajaxSubmit(window) {
+    var form = window.document.querySelector('form');
+    var sent = null;
+    var handler = function(event) {
+        event.preventDefault();
+        form.dispatchEvent(new window.CustomEvent('hf-submit'));
+        sent = Array.from(new window.FormData(form).entries());
+    };
+
+    window.document.addEventListener('submit', handler);
+    submit(window);
+    window.document.removeEventListener('submit', handler);
+
+    return {
+        sent: sent,
+        respond: function() {
+            form.dispatchEvent(new window.CustomEvent('hf-submitted'));
+        }
+    };
+}
+
+/**
+ * Get the name and value of every successful control, as a native submit sends them.
+ *
+ * @param {Window} window Window from load().
+ * @return {Array} Name and value pairs.
+ */
+function fields(window) {
+    return Array.from(new window.FormData(window.document.querySelector('form')).entries());
+}
+
+['jquery', 'vanilla'].forEach(function(engine) {
+    var markup = '<input type="text" name="postal" data-mask-preset="postal-pl" data-mask-submit="clean" value="00950" />' +
+        '<input type="text" name="nip" data-mask-preset="nip" data-mask-submit="both" value="5260250274" />';
+
+    test(engine + ': native submit sends and keeps the submit values', async function() {
+        var window = await load(markup, {}, engine);
+
+        try {
+            assert.strictEqual(submit(window), true);
+            assert.deepStrictEqual(fields(window), [['postal', '00950'], ['nip', '526-025-02-74'], ['nip_raw', '5260250274']]);
+
+            // Another submit, e.g. after a cancelled navigation, does not add a second raw field.
+            assert.strictEqual(submit(window), true);
+            assert.deepStrictEqual(fields(window), [['postal', '00950'], ['nip', '526-025-02-74'], ['nip_raw', '5260250274']]);
+        } finally {
+            close(window);
+        }
+    });
+
+    test(engine + ': HTML Forms submit restores the display values after the response', async function() {
+        var window = await load(markup, {}, engine);
+
+        try {
+            var request = ajaxSubmit(window);
+
+            assert.deepStrictEqual(request.sent, [['postal', '00950'], ['nip', '526-025-02-74'], ['nip_raw', '5260250274']]);
+
+            request.respond();
+            assert.deepStrictEqual(fields(window), [['postal', '00-950'], ['nip', '526-025-02-74']]);
+        } finally {
+            close(window);
+        }
+    });
+});
+
+test('error summary renders without blocking', async function() {
+    var window = await load('<input type="text" name="postal" id="postal" data-mask-preset="postal-pl" value="00-9" />', {
+        blockInvalidSubmit: false,
+        showErrorSummary: true
+    });
+    var document = window.document;
+
+    try {
+        assert.strictEqual(submit(window), true);
+        assert.strictEqual(document.querySelectorAll('.mfhf-error-summary li').length, 1);
+        assert.strictEqual(document.querySelector('.mfhf-error-summary a').getAttribute('href'), '#postal');
+        assert.notStrictEqual(document.activeElement, document.getElementById('postal'));
+    } finally {
+        close(window);
+    }
+});
+
+test('error summary renders with blocking', async function() {
+    var window = await load('<input type="text" name="postal" id="postal" data-mask-preset="postal-pl" value="00-9" />', {
+        blockInvalidSubmit: true,
+        showErrorSummary: true
+    });
+    var document = window.document;
+
+    try {
+        assert.strictEqual(submit(window), false);
+        assert.strictEqual(document.querySelectorAll('.mfhf-error-summary li').length, 1);
+        assert.strictEqual(document.activeElement, document.getElementById('postal'));
+    } finally {
+        close(window);
+    }
+});
+
+test('no error summary when it is off', async function() {
+    var window = await load('<input type="text" name="postal" id="postal" data-mask-preset="postal-pl" value="00-9" />', {
+        blockInvalidSubmit: false,
+        showErrorSummary: false
+    });
+
+    try {
+        assert.strictEqual(submit(window), true);
+        assert.strictEqual(window.document.querySelector('.mfhf-error-summary'), null);
+    } finally {
+        close(window);
+    }
+});
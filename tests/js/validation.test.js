@@ -0,0 +1,137 @@
+/**
+ * Mask for HTML Forms - Shared validation fixtures (JavaScript)
+ *
+ * Runs tests/fixtures/validation.json against mask-init.js. The same
+ * fixtures run against Server_Validator in tests/php, so both sides
+ * accept and reject the same values. Malformed values, which the server
+ * rejects, are reformatted by the mask in the browser.
+ *
+ * tests/fixtures/settings.json is the mfhfSettings object printed by
+ * Assets_Loader::get_script_settings(); the PHP test keeps it current.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var root = path.join(__dirname, '..', '..');
+var fixtures = require('../fixtures/validation.json');
+var settings = require('../fixtures/settings.json');
+var scripts = [
+    require.resolve('jquery/dist/jquery.js'),
+    path.join(root, 'assets/js/jquery.mask.min.js'),
+    path.join(root, 'assets/js/mask-core.js'),
+    path.join(root, 'assets/js/mask-init.js')
+].map(function(file) {
+    return fs.readFileSync(file, 'utf8');
+});
+
+/**
+ * Load the fixture markup in a window and mask it like a page load.
+ *
+ * @param {string} markup Form markup.
+ * @param {string} [value] Value of the field named "field".
+ * @return {Promise<Window>} Window once the masks are applied.
+ */
+function load(markup, value) {
+    var dom = new JSDOM('<!doctype html><html><body><form class="hf-form">' + markup + '</form></body></html>', {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    var window = dom.window;
+
+    if (typeof value === 'string') {
+        window.document.querySelector('[name="field"]').value = value;
+    }
+
+    window.mfhfSettings = JSON.parse(JSON.stringify(settings));
+
+    scripts.forEach(function(script) {
+        window.eval(script);
+    });
+
+    return new Promise(function(resolve) {
+        window.jQuery(function() {
+            resolve(window);
+        });
+    });
+}
+
+/**
+ * Stop the dynamic input observers and close the window.
+ *
+ * @param {Window} window Window from load().
+ */
+function close(window) {
+    window.MaskForHtmlForms.destroy();
+    window.close();
+}
+
+test('values', async function(t) {
+    for (var i = 0; i < fixtures.values.length; i++) {
+        var fixture = fixtures.values[i];
+
+        await t.test(fixture.markup + ' ' + fixture.value, async function() {
+            var window = await load(fixture.markup, fixture.value);
+            var result = window.MaskForHtmlForms.validateField(window.document.querySelector('[name="field"]'), { render: false });
+
+            assert.strictEqual(result.code || null, fixture.code);
+
+            if (fixture.message) {
+                assert.strictEqual(result.message, fixture.message);
+            }
+
+            close(window);
+        });
+    }
+});
+
+test('malformed', async function(t) {
+    for (var i = 0; i < fixtures.malformed.length; i++) {
+        var fixture = fixtures.malformed[i];
+
+        await t.test(fixture.markup + ' ' + fixture.value, async function() {
+            var window = await load(fixture.markup, fixture.value);
+
+            assert.strictEqual(window.document.querySelector('[name="field"]').value, fixture.masked);
+
+            close(window);
+        });
+    }
+});
+
+test('labels', async function(t) {
+    for (var i = 0; i < fixtures.labels.length; i++) {
+        var fixture = fixtures.labels[i];
+
+        await t.test(fixture.markup, async function() {
+            var window = await load(fixture.markup);
+            var $field = window.jQuery('[name="field"]');
+
+            assert.strictEqual(window.MaskForHtmlForms.getFieldLabel($field), fixture.label);
+
+            close(window);
+        });
+    }
+});
+
+test('plurals', async function() {
+    var window = await load('');
+
+    fixtures.plurals.forEach(function(fixture) {
+        assert.strictEqual(
+            window.MaskForHtmlForms.selectPluralForm(['0', '1', '2'], fixture.count, fixture.locale),
+            String(fixture.index),
+            fixture.locale + ' ' + fixture.count
+        );
+    });
+
+    close(window);
+});
@@ -0,0 +1,24 @@
+<?php
+/**
+ * PHPUnit bootstrap.
+ *
+ * Loads the Composer autoloader and the plugin classes. WordPress functions
+ * are stubbed with Brain Monkey in each test, so no WordPress install is needed.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+require_once dirname( __DIR__, 2 ) . '/vendor/autoload.php';
+
+if ( ! defined( 'ABSPATH' ) ) {
+    define( 'ABSPATH', '/' );
+}
+
+define( 'MFHF_PLUGIN_DIR', dirname( __DIR__, 2 ) . '/' );
+
+require_once MFHF_PLUGIN_DIR . 'includes/class-form-detector.php';
+require_once MFHF_PLUGIN_DIR . 'includes/class-custom-presets.php';
+require_once MFHF_PLUGIN_DIR . 'includes/class-assets-loader.php';
+require_once MFHF_PLUGIN_DIR . 'includes/class-server-validator.php';
+require_once MFHF_PLUGIN_DIR . 'includes/class-admin-page.php';
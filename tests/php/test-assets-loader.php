@@ -0,0 +1,114 @@
+<?php
+/**
+ * Masking engine selection.
+ *
+ * Checks that Assets_Loader::get_engine() only keeps the vanilla engine
+ * on pages that need no client-side validation.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use MaskForHtmlForms\Admin_Page;
+use MaskForHtmlForms\Assets_Loader;
+use MaskForHtmlForms\Custom_Presets;
+use MaskForHtmlForms\Form_Detector;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Test_Assets_Loader class.
+ *
+ * @since 1.1.0
+ */
+class Test_Assets_Loader extends TestCase {
+
+    /**
+     * Options returned by get_option(), keyed by option name.
+     *
+     * @var array
+     */
+    private array $options = array();
+
+    /**
+     * Stub the WordPress functions used by the classes, as on an en_US site.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        Monkey\setUp();
+
+        $this->options = array();
+
+        Functions\stubTranslationFunctions();
+        Functions\stubEscapeFunctions();
+        Functions\stubs(
+            array(
+                'determine_locale'        => 'en_US',
+                'get_option'              => function ( $option, $default_value = false ) {
+                    return $this->options[ $option ] ?? $default_value;
+                },
+                'switch_to_locale'        => false,
+                'restore_previous_locale' => false,
+                '_n_noop'                 => function ( $singular, $plural ) {
+                    return array(
+                        'singular' => $singular,
+                        'plural'   => $plural,
+                    );
+                },
+                'translate_nooped_plural' => function ( $nooped, $count ) {
+                    return 1 === $count ? $nooped['singular'] : $nooped['plural'];
+                },
+            )
+        );
+    }
+
+    /**
+     * Remove the stubs.
+     */
+    protected function tearDown(): void {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Provide the engine cases.
+     *
+     * @return array Arguments: options, rendered form markup and expected engine.
+     */
+    public function engine_provider(): array {
+        $vanilla = array( Admin_Page::OPTION_ENGINE => Assets_Loader::ENGINE_VANILLA );
+        $masked  = '<input type="text" name="postal" data-mask-preset="postal-pl" />';
+
+        return array(
+            'default'             => array( array(), $masked, Assets_Loader::ENGINE_JQUERY ),
+            'vanilla'             => array( $vanilla, $masked, Assets_Loader::ENGINE_VANILLA ),
+            'inline errors'       => array( $vanilla + array( Admin_Page::OPTION_INLINE_ERRORS => '1' ), $masked, Assets_Loader::ENGINE_JQUERY ),
+            'blocking'            => array( $vanilla + array( Admin_Page::OPTION_BLOCK_INVALID_SUBMIT => '1' ), $masked, Assets_Loader::ENGINE_JQUERY ),
+            'error summary'       => array( $vanilla + array( Admin_Page::OPTION_ERROR_SUMMARY => '1' ), $masked, Assets_Loader::ENGINE_JQUERY ),
+            'conditional mask'    => array( $vanilla, '<input type="text" name="id" data-mask-depends-on="type" />', Assets_Loader::ENGINE_JQUERY ),
+            'field inline errors' => array( $vanilla, '<input type="text" name="nip" data-mask-preset="nip" data-mask-show-error="true" />', Assets_Loader::ENGINE_JQUERY ),
+            'form error summary'  => array( $vanilla, '<form data-mask-error-summary="true">' . $masked . '</form>', Assets_Loader::ENGINE_JQUERY ),
+        );
+    }
+
+    /**
+     * The vanilla engine falls back to jQuery when the page needs validation.
+     *
+     * @dataProvider engine_provider
+     *
+     * @param array  $options  Stored options.
+     * @param string $markup   Rendered form markup.
+     * @param string $expected Expected engine.
+     */
+    public function test_engine( array $options, string $markup, string $expected ): void {
+        $this->options = $options;
+
+        $form_detector = new Form_Detector();
+        $assets_loader = new Assets_Loader( $form_detector, new Custom_Presets() );
+
+        $form_detector->on_form_render( $markup, null );
+
+        $this->assertSame( $expected, $assets_loader->get_engine() );
+    }
+}
@@ -0,0 +1,221 @@
+<?php
+/**
+ * Shared validation fixtures (PHP).
+ *
+ * Runs tests/fixtures/validation.json against Server_Validator. The same
+ * fixtures run against mask-init.js in tests/js, so both sides accept and
+ * reject the same values.
+ *
+ * @package MaskForHtmlForms
+ * @since   1.1.0
+ */
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use MaskForHtmlForms\Assets_Loader;
+use MaskForHtmlForms\Custom_Presets;
+use MaskForHtmlForms\Form_Detector;
+use MaskForHtmlForms\Server_Validator;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Test_Validation class.
+ *
+ * @since 1.1.0
+ */
+class Test_Validation extends TestCase {
+
+    /**
+     * Stub the WordPress functions used by the classes, as on an en_US site without options.
+     */
+    protected function setUp(): void {
+        parent::setUp();
+        Monkey\setUp();
+
+        Functions\stubTranslationFunctions();
+        Functions\stubEscapeFunctions();
+        Functions\stubs(
+            array(
+                'determine_locale'        => 'en_US',
+                'get_option'              => function ( $option, $default_value = false ) {
+                    return $default_value;
+                },
+                'switch_to_locale'        => false,
+                'restore_previous_locale' => false,
+                'wp_timezone'             => function () {
+                    return new DateTimeZone( 'UTC' );
+                },
+                '_n_noop'                 => function ( $singular, $plural ) {
+                    return array(
+                        'singular' => $singular,
+                        'plural'   => $plural,
+                    );
+                },
+                'translate_nooped_plural' => function ( $nooped, $count ) {
+                    return 1 === $count ? $nooped['singular'] : $nooped['plural'];
+                },
+            )
+        );
+    }
+
+    /**
+     * Remove the stubs.
+     */
+    protected function tearDown(): void {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Read the fixtures.
+     *
+     * @return array Fixtures with values, malformed values, labels and plurals.
+     */
+    private static function get_fixtures(): array {
+        return json_decode( file_get_contents( dirname( __DIR__ ) . '/fixtures/validation.json' ), true );
+    }
+
+    /**
+     * Create an assets loader.
+     *
+     * @return Assets_Loader Assets loader.
+     */
+    private function get_assets_loader(): Assets_Loader {
+        return new Assets_Loader( new Form_Detector(), new Custom_Presets() );
+    }
+
+    /**
+     * Create a validator.
+     *
+     * @return Server_Validator Validator.
+     */
+    private function get_validator(): Server_Validator {
+        return new Server_Validator( $this->get_assets_loader() );
+    }
+
+    /**
+     * Provide the value fixtures.
+     *
+     * @return array Arguments keyed by markup and value.
+     */
+    public function value_provider(): array {
+        $cases = array();
+
+        foreach ( self::get_fixtures()['values'] as $fixture ) {
+            $cases[ $fixture['markup'] . ' ' . $fixture['value'] ] = array( $fixture );
+        }
+
+        return $cases;
+    }
+
+    /**
+     * Provide the malformed value fixtures.
+     *
+     * @return array Arguments keyed by markup and value.
+     */
+    public function malformed_provider(): array {
+        $cases = array();
+
+        foreach ( self::get_fixtures()['malformed'] as $fixture ) {
+            $cases[ $fixture['markup'] . ' ' . $fixture['value'] ] = array( $fixture );
+        }
+
+        return $cases;
+    }
+
+    /**
+     * Provide the label fixtures.
+     *
+     * @return array Arguments keyed by markup.
+     */
+    public function label_provider(): array {
+        $cases = array();
+
+        foreach ( self::get_fixtures()['labels'] as $fixture ) {
+            $cases[ $fixture['markup'] ] = array( $fixture );
+        }
+
+        return $cases;
+    }
+
+    /**
+     * tests/fixtures/settings.json, the mfhfSettings of the JavaScript test, is the current output of get_script_settings().
+     *
+     * Run with MFHF_UPDATE_FIXTURES=1 to rewrite the file after changing presets or messages.
+     */
+    public function test_settings_fixture() {
+        $file     = dirname( __DIR__ ) . '/fixtures/settings.json';
+        $settings = json_encode( $this->get_assets_loader()->get_script_settings(), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . "\n";
+
+        if ( getenv( 'MFHF_UPDATE_FIXTURES' ) ) {
+            file_put_contents( $file, $settings );
+        }
+
+        $this->assertSame( $settings, file_get_contents( $file ) );
+    }
+
+    /**
+     * Submitted values get the fixture's error code and message.
+     *
+     * @dataProvider value_provider
+     *
+     * @param array $fixture Value fixture.
+     */
+    public function test_values( array $fixture ) {
+        $validator = $this->get_validator();
+        $fields    = $validator->get_masked_fields( $fixture['markup'] );
+        $error     = $validator->validate_field( $fields[0], array( 'field' => $fixture['value'] ) );
+
+        $this->assertSame( $fixture['code'], $error['code'] ?? null );
+
+        if ( isset( $fixture['message'] ) ) {
+            $this->assertSame( $fixture['message'], $error['message'] );
+        }
+    }
+
+    /**
+     * Partly masked values are rejected instead of being accepted as clean values.
+     *
+     * @dataProvider malformed_provider
+     *
+     * @param array $fixture Malformed value fixture.
+     */
+    public function test_malformed( array $fixture ) {
+        $validator = $this->get_validator();
+        $fields    = $validator->get_masked_fields( $fixture['markup'] );
+        $error     = $validator->validate_field( $fields[0], array( 'field' => $fixture['value'] ) );
+
+        $this->assertSame( $fixture['code'], $error['code'] ?? null );
+    }
+
+    /**
+     * Fields get the fixture's label.
+     *
+     * @dataProvider label_provider
+     *
+     * @param array $fixture Label fixture.
+     */
+    public function test_labels( array $fixture ) {
+        $fields = $this->get_validator()->get_masked_fields( $fixture['markup'] );
+
+        $this->assertSame( $fixture['label'], $fields[0]['label'] );
+    }
+
+    /**
+     * Counts select the fixture's plural form index.
+     */
+    public function test_plurals() {
+        $validator = $this->get_validator();
+        $method    = new ReflectionMethod( $validator, 'select_plural_form' );
+
+        $method->setAccessible( true );
+
+        foreach ( self::get_fixtures()['plurals'] as $fixture ) {
+            $this->assertSame(
+                (string) $fixture['index'],
+                $method->invoke( $validator, array( '0', '1', '2' ), $fixture['count'], $fixture['locale'] ),
+                $fixture['locale'] . ' ' . $fixture['count']
+            );
+        }
+    }
+}